@@ -0,0 +1,239 @@
+// api/_lib/audio-format.js
+// Sniffs uploaded audio from its magic bytes (not the client's file.type),
+// parses WAV headers, and converts PCM WAV to mono 16 kHz 16-bit for providers.
+import { AudioFormatError } from './errors.js';
+
+export const TARGET_RATE = 16000;
+
+const CONTAINERS = {
+  wav:  'audio/wav',
+  ogg:  'audio/ogg',
+  webm: 'audio/webm',
+  flac: 'audio/flac',
+  mp3:  'audio/mpeg',
+  mp4:  'audio/mp4'
+};
+
+// Declared MIME types that are just other names for a container
+const MIME_ALIASES = {
+  'audio/x-wav': 'audio/wav', 'audio/wave': 'audio/wav', 'audio/vnd.wave': 'audio/wav',
+  'audio/x-flac': 'audio/flac', 'audio/mp3': 'audio/mpeg',
+  'audio/x-m4a': 'audio/mp4', 'audio/m4a': 'audio/mp4', 'video/webm': 'audio/webm', 'video/mp4': 'audio/mp4'
+};
+
+const WAV_PCM = 1, WAV_FLOAT = 3, WAV_EXTENSIBLE = 0xFFFE;
+
+const ascii = (b, at, n) => String.fromCharCode(...b.subarray(at, at + n));
+
+function includesAscii(b, needle, limit = 4096) {
+  const hay = ascii(b, 0, Math.min(b.length, limit));
+  return hay.includes(needle);
+}
+
+// -> { container, mime, codec? } or null
+export function sniffContainer(b) {
+  if (b.length < 12) return null;
+  if (ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WAVE') return { container: 'wav', mime: CONTAINERS.wav };
+  if (ascii(b, 0, 4) === 'OggS') {
+    const codec = includesAscii(b, 'OpusHead') ? 'opus' : includesAscii(b, 'vorbis') ? 'vorbis' : null;
+    return { container: 'ogg', mime: CONTAINERS.ogg, codec };
+  }
+  if (b[0] === 0x1A && b[1] === 0x45 && b[2] === 0xDF && b[3] === 0xA3) {
+    const codec = includesAscii(b, 'A_OPUS') ? 'opus' : includesAscii(b, 'A_VORBIS') ? 'vorbis' : null;
+    return { container: 'webm', mime: CONTAINERS.webm, codec };
+  }
+  if (ascii(b, 0, 4) === 'fLaC') return { container: 'flac', mime: CONTAINERS.flac, codec: 'flac' };
+  if (ascii(b, 0, 3) === 'ID3' || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0)) {
+    return { container: 'mp3', mime: CONTAINERS.mp3, codec: 'mp3' };
+  }
+  if (ascii(b, 4, 4) === 'ftyp') return { container: 'mp4', mime: CONTAINERS.mp4, codec: includesAscii(b, 'mp4a') ? 'aac' : null };
+  return null;
+}
+
+// RIFF/WAVE header -> { format, sampleRate, channels, bitsPerSample, dataOffset, dataBytes }
+export function parseWavHeader(b) {
+  const view = new DataView(b.buffer, b.byteOffset, b.byteLength);
+  let fmt = null, data = null;
+  let at = 12;
+  while (at + 8 <= b.length && !(fmt && data)) {
+    const id = ascii(b, at, 4);
+    const size = view.getUint32(at + 4, true);
+    const body = at + 8;
+    if (id === 'fmt ' && body + 16 <= b.length) {
+      let format = view.getUint16(body, true);
+      if (format === WAV_EXTENSIBLE && size >= 40 && body + 26 <= b.length) format = view.getUint16(body + 24, true);
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+    } else if (id === 'data') {
+      // streamed WAVs leave the size at 0 or 0xFFFFFFFF: take what's there
+      const avail = b.length - body;
+      data = { dataOffset: body, dataBytes: size === 0 || size > avail ? avail : size };
+    }
+    at = body + size + (size & 1);
+  }
+  if (!fmt) throw new AudioFormatError('WAV file has no fmt chunk');
+  if (!data) throw new AudioFormatError('WAV file has no data chunk');
+  return { ...fmt, ...data };
+}
+
+// Length from the header alone (data size / byte rate), or null when the header can't tell
+export function wavDurationMs(wav) {
+  return wav.sampleRate && wav.channels && wav.bitsPerSample
+    ? Math.round(wav.dataBytes / (wav.channels * wav.bitsPerSample / 8) / wav.sampleRate * 1000)
+    : null;
+}
+
+function describeFormat(format) {
+  return format === WAV_PCM ? 'PCM' : format === WAV_FLOAT ? 'float' : `0x${format.toString(16)}`;
+}
+
+// WAV samples -> mono Float32Array [-1, 1]
+export function decodeWavMono(b, wav) {
+  const { format, channels, bitsPerSample, dataOffset, dataBytes } = wav;
+  const view = new DataView(b.buffer, b.byteOffset + dataOffset, dataBytes);
+  const bytes = bitsPerSample / 8;
+  const frames = Math.floor(dataBytes / (bytes * channels));
+  const read =
+    format === WAV_FLOAT && bitsPerSample === 32 ? at => view.getFloat32(at, true)
+    : format === WAV_FLOAT && bitsPerSample === 64 ? at => view.getFloat64(at, true)
+    : bitsPerSample === 8 ? at => (view.getUint8(at) - 128) / 128
+    : bitsPerSample === 16 ? at => view.getInt16(at, true) / 32768
+    : bitsPerSample === 24 ? at => ((view.getUint8(at + 2) << 24 | view.getUint8(at + 1) << 16 | view.getUint8(at) << 8) >> 8) / 8388608
+    : at => view.getInt32(at, true) / 2147483648;
+
+  const out = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read((f * channels + c) * bytes);
+    out[f] = sum / channels;
+  }
+  return out;
+}
+
+function sinc(x) {
+  return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+const KERNEL_STEPS = 256; // kernel table entries per input sample; linear interpolation in between
+const MAX_KERNELS = 8;
+const KERNELS = new Map(); // "cutoff:width" -> Float32Array
+
+// Blackman-windowed sinc sampled over [-width, width], built once per rate pair
+function kernelTable(cutoff, width) {
+  const key = `${cutoff}:${width}`;
+  let table = KERNELS.get(key);
+  if (table) return table;
+  table = new Float32Array(2 * width * KERNEL_STEPS + 2);
+  for (let k = 0; k < table.length; k++) {
+    const d = k / KERNEL_STEPS - width, u = d / width;
+    table[k] = Math.abs(u) > 1 ? 0 : cutoff * sinc(cutoff * d) * (0.42 + 0.5 * Math.cos(Math.PI * u) + 0.08 * Math.cos(2 * Math.PI * u));
+  }
+  if (KERNELS.size >= MAX_KERNELS) KERNELS.delete(KERNELS.keys().next().value);
+  KERNELS.set(key, table);
+  return table;
+}
+
+// Windowed-sinc resampling with the cutoff below the lower Nyquist rate (no aliasing)
+function resample(x, inRate, outRate, halfTaps = 12) {
+  if (inRate === outRate) return x;
+  const step = inRate / outRate;
+  const cutoff = Math.min(1, outRate / inRate) * 0.92;
+  const width = Math.ceil(halfTaps / cutoff);
+  const table = kernelTable(cutoff, width);
+  const out = new Float32Array(Math.floor(x.length / step));
+  for (let n = 0; n < out.length; n++) {
+    const t = n * step;
+    const lo = Math.max(0, Math.ceil(t - width)), hi = Math.min(x.length - 1, Math.floor(t + width));
+    let pos = (lo - t + width) * KERNEL_STEPS;
+    let sum = 0;
+    for (let i = lo; i <= hi; i++, pos += KERNEL_STEPS) {
+      const k = pos | 0;
+      sum += x[i] * (table[k] + (table[k + 1] - table[k]) * (pos - k));
+    }
+    out[n] = sum;
+  }
+  return out;
+}
+
+export function encodeWav16(samples, sampleRate) {
+  const out = new Uint8Array(44 + samples.length * 2);
+  const view = new DataView(out.buffer);
+  const put = (at, s) => { for (let i = 0; i < s.length; i++) out[at + i] = s.charCodeAt(i); };
+  put(0, 'RIFF'); view.setUint32(4, 36 + samples.length * 2, true); put(8, 'WAVE');
+  put(12, 'fmt '); view.setUint32(16, 16, true);
+  view.setUint16(20, WAV_PCM, true); view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true); view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true); view.setUint16(34, 16, true);
+  put(36, 'data'); view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, s < 0 ? s * 0x8000 : s * 0x7FFF, true);
+  }
+  return out;
+}
+
+function declaredMime(type) {
+  const t = (type || '').toLowerCase().split(';')[0].trim();
+  return MIME_ALIASES[t] || t;
+}
+
+// Inspect an upload before provider dispatch.
+// Returns { blob, audio } where blob is what the provider should get (PCM WAV is
+// rewritten to mono 16 kHz 16-bit; with keepRate, mono 16-bit at its own sample rate)
+// and audio reports what was found:
+//   { container, mime, codec, declaredType, bytes, sampleRate?, channels?, bitsPerSample?,
+//     durationMs?, convertedTo? }
+// Throws AudioFormatError (415) for unknown data, a declared type that contradicts
+// the bytes, or a WAV encoding that can't be converted.
+export async function inspectAudio(file, { keepRate = false } = {}) {
+  const b = new Uint8Array(await file.arrayBuffer());
+  const declaredType = (file.type || '').toString();
+  const found = sniffContainer(b);
+  if (!found) {
+    const head = [...b.subarray(0, 8)].map(x => x.toString(16).padStart(2, '0')).join(' ');
+    throw new AudioFormatError(
+      `Unrecognized audio data (declared ${declaredType || 'no type'}, first bytes ${head}). ` +
+      'Expected WAV, Ogg, WebM, FLAC, MP3 or MP4 audio.');
+  }
+
+  const declared = declaredMime(declaredType);
+  if (declared && declared !== 'application/octet-stream' && declared !== found.mime) {
+    throw new AudioFormatError(`Declared ${declaredType} but the data is ${found.container.toUpperCase()} (${found.mime})`);
+  }
+
+  const audio = { container: found.container, mime: found.mime, codec: found.codec || null, declaredType, bytes: b.length };
+  if (found.container !== 'wav') {
+    return { blob: new Blob([b], { type: found.mime }), audio };
+  }
+
+  const wav = parseWavHeader(b);
+  Object.assign(audio, {
+    codec: describeFormat(wav.format),
+    sampleRate: wav.sampleRate,
+    channels: wav.channels,
+    bitsPerSample: wav.bitsPerSample,
+    durationMs: wavDurationMs(wav)
+  });
+
+  const decodable =
+    (wav.format === WAV_PCM && [8, 16, 24, 32].includes(wav.bitsPerSample)) ||
+    (wav.format === WAV_FLOAT && [32, 64].includes(wav.bitsPerSample));
+  if (!decodable || !wav.channels || !wav.sampleRate) {
+    throw new AudioFormatError(
+      `Unsupported WAV encoding: ${describeFormat(wav.format)} ${wav.bitsPerSample}-bit, ` +
+      `${wav.channels} channel(s) at ${wav.sampleRate} Hz. Send PCM (8/16/24/32-bit) or float WAV.`);
+  }
+
+  const rate = keepRate ? wav.sampleRate : TARGET_RATE;
+  if (wav.format === WAV_PCM && wav.bitsPerSample === 16 && wav.channels === 1 && wav.sampleRate === rate) {
+    return { blob: new Blob([b], { type: CONTAINERS.wav }), audio };
+  }
+
+  const mono = resample(decodeWavMono(b, wav), wav.sampleRate, rate);
+  audio.convertedTo = { sampleRate: rate, channels: 1, bitsPerSample: 16 };
+  return { blob: new Blob([encodeWav16(mono, rate)], { type: CONTAINERS.wav }), audio };
+}
@@ -0,0 +1,100 @@
+// api/_lib/cache.js
+// Result cache for /api/transcribe: the same audio bytes sent again with the same options
+// answer from the cache instead of a new paid provider call, and identical uploads already
+// in flight share one call.
+//
+// A store is any object with
+//   get(key)              -> value or undefined (may be async)
+//   set(key, value, ttlMs)                      (may be async)
+// The default keeps entries in memory for the lifetime of the instance; setCacheStore()
+// swaps in a shared one (e.g. a KV adapter) so warm and cold instances see the same entries.
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 200;
+
+// Least-recently-used in-memory store with per-entry expiry
+export function createMemoryStore({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+  const entries = new Map(); // key -> { value, expires }
+  return {
+    get(key) {
+      const e = entries.get(key);
+      if (!e) return undefined;
+      if (e.expires <= Date.now()) {
+        entries.delete(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, e); // most recently used last
+      return e.value;
+    },
+    set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expires: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    }
+  };
+}
+
+let STORE = createMemoryStore({
+  maxEntries: Number.parseInt(process.env.TRANSCRIBE_CACHE_MAX_ENTRIES || '', 10) || DEFAULT_MAX_ENTRIES
+});
+const IN_FLIGHT = new Map(); // key -> Promise<{ status, body }>
+
+export function setCacheStore(store) {
+  STORE = store;
+}
+
+export function cacheTtlMs() {
+  const s = Number.parseInt(process.env.TRANSCRIBE_CACHE_TTL_SECONDS ?? '', 10);
+  return (Number.isFinite(s) && s >= 0 ? s : DEFAULT_TTL_SECONDS) * 1000;
+}
+
+async function sha256Hex(data) {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// file: the uploaded Blob; options: everything else that shapes the response.
+// The declared type is part of the key: the same bytes under a wrong type must still be refused.
+// -> { key, audioDigest }
+export async function cacheKey(file, options) {
+  const audioDigest = await sha256Hex(new Uint8Array(await file.arrayBuffer()));
+  const optionsDigest = await sha256Hex(JSON.stringify({ declaredType: (file.type || '').toLowerCase(), ...options }));
+  return { key: `transcribe:${audioDigest}:${optionsDigest}`, audioDigest };
+}
+
+// Cached entry -> { status, body, storedAt } or null (a broken store only costs the cache)
+export async function cacheGet(key) {
+  try {
+    return (await STORE.get(key)) || null;
+  } catch {
+    return null;
+  }
+}
+
+// Only successful recognitions are kept: errors and "no speech" should be retried for real
+export async function cachePut(key, { status, body }) {
+  const ttlMs = cacheTtlMs();
+  if (!ttlMs || status !== 200 || !body?.candidates?.length) return;
+  try {
+    await STORE.set(key, { status, body, storedAt: Date.now() }, ttlMs);
+  } catch {}
+}
+
+export function inFlight(key) {
+  return IN_FLIGHT.has(key);
+}
+
+// Runs `fn` once per key at a time; concurrent callers with the same key await the
+// first call. -> { result, shared } (shared: this caller joined a call already running)
+export async function dedupe(key, fn) {
+  if (IN_FLIGHT.has(key)) return { result: await IN_FLIGHT.get(key), shared: true };
+  const p = Promise.resolve().then(fn);
+  IN_FLIGHT.set(key, p);
+  try {
+    return { result: await p, shared: false };
+  } finally {
+    IN_FLIGHT.delete(key);
+  }
+}
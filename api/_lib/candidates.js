@@ -0,0 +1,43 @@
+// api/_lib/candidates.js
+// Candidate clean-up shared by every provider.
+
+// Strip trailing punctuation if the string is a single token (no spaces)
+export function stripTrailingPunctIfSingle(s) {
+  if (!s) return s;
+  const t = s.trim();
+  if (t.includes(' ')) return t;
+  return t.replace(/[\.。！？!?，,、；;：:…]+$/u, '');
+}
+
+// Apply normalization to a list of candidates
+export function normalizeCandidates(arr) {
+  return (Array.isArray(arr) ? arr : [])
+    .map(stripTrailingPunctIfSingle)
+    .filter(Boolean);
+}
+
+function looksLikeLatinOnly(s) {
+  const hasLetter = /[A-Za-z]/.test(s);
+  const hasCJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(s);
+  return hasLetter && !hasCJK;
+}
+
+export function strictLanguageFilter(cands, bcp47) {
+  const primary = bcp47.split('-')[0].toLowerCase();
+  if (['zh', 'ja', 'ko'].includes(primary)) {
+    const filtered = cands.filter(t => !looksLikeLatinOnly(t));
+    return filtered.length ? filtered : [];
+  }
+  return cands;
+}
+
+// strictLanguageFilter + normalizeCandidates for detail objects ({ text, ... }),
+// so confidence/timings stay aligned with the cleaned text.
+export function normalizeDetails(items, bcp47) {
+  const texts = (Array.isArray(items) ? items : []).map(it => (it?.text || '').trim());
+  const kept = new Set(strictLanguageFilter(texts.filter(Boolean), bcp47));
+  return items
+    .filter((it, i) => texts[i] && kept.has(texts[i]))
+    .map(it => ({ ...it, text: stripTrailingPunctIfSingle(it.text) }))
+    .filter(it => it.text);
+}
@@ -0,0 +1,16 @@
+// api/_lib/concurrency.js
+// Bounded parallelism for routes that fan out provider calls (batch clips, conversation segments).
+
+// Promise.all with at most `limit` calls in flight; results keep input order
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
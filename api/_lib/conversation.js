@@ -0,0 +1,180 @@
+// api/_lib/conversation.js
+// Conversation mode: a longer recording as speaker-labelled, timestamped segments.
+// Providers with their own diarization (provider.diarize) do it in one call; otherwise
+// the WAV is cut at pauses here, each segment is transcribed on its own and segments
+// are grouped by voice (see diarize.js).
+import { ProviderError, AudioFormatError, statusFor } from './errors.js';
+import { inspectAudio, sniffContainer, parseWavHeader, wavDurationMs, decodeWavMono, encodeWav16 } from './audio-format.js';
+import { acceptsMime } from '../_providers/index.js';
+import { segmentAtPauses, voiceFeatures, clusterSpeakers, relabelSpeakers } from './diarize.js';
+import { mapLimit } from './concurrency.js';
+
+export const MAX_DURATION_MS = 5 * 60 * 1000;
+const MAX_SEGMENTS = 80;
+const SEGMENT_CONCURRENCY = 3;
+
+// opts: { provider, language, baseUrl, fixture, members, phrases, speakers (0 = unknown), charge }
+// charge(calls) -> { ok, retryAfter } is asked before provider calls go out: once for the provider's
+// diarization, then for every segment of the local path at once (see rate-limit.js takeToken).
+// -> { status, body }; body:
+//    { provider, language, audio, durationMs, diarization: 'provider' | 'clustering', diarizationError?,
+//      speakers: ['S1', ...], segments: [{ index, startMs, endMs, speaker, text, candidates, confidence, error?, code? }] }
+export async function transcribeConversation(file, opts) {
+  const { provider, language, baseUrl, fixture, members, phrases = [], speakers = 0, charge = () => ({ ok: true }) } = opts;
+
+  const size = Number(file.size || 0);
+  if (size < 2000) {
+    return failure('AUDIO_TOO_SHORT', `Audio too small (${size} bytes). type=${file.type || '(none)'}`);
+  }
+
+  // Reject long WAVs from the header, before decoding and resampling them
+  const head = new Uint8Array(await file.arrayBuffer());
+  if (sniffContainer(head)?.container === 'wav') {
+    let durationMs = null;
+    try {
+      durationMs = wavDurationMs(parseWavHeader(head));
+    } catch (err) {
+      if (!(err instanceof AudioFormatError)) throw err; // inspectAudio reports it below
+    }
+    if (durationMs > MAX_DURATION_MS) return tooLong(durationMs);
+  }
+
+  let inspected;
+  try {
+    inspected = await inspectAudio(file, { keepRate: !!provider.anySampleRate });
+  } catch (err) {
+    if (err instanceof AudioFormatError) return failure(err.code, err.message);
+    throw err;
+  }
+  const { blob, audio } = inspected;
+  if (!acceptsMime(provider, audio.mime)) {
+    return failure('UNSUPPORTED_FORMAT', `${provider.name} does not accept ${audio.mime}${audio.codec ? ` (${audio.codec})` : ''}`, { audio });
+  }
+  if (audio.durationMs > MAX_DURATION_MS) return tooLong(audio.durationMs, { audio });
+
+  const ctx = { baseUrl, fixture, members, audio, phrases, speakers };
+  const base = { provider: provider.name, language, audio };
+  const isWav = audio.container === 'wav';
+  const callsPerSegment = provider.memberCount ? provider.memberCount(members, 'audio/wav') : 1;
+
+  // Provider diarization first; a failure still leaves the local path for WAV
+  let diarizationError = null;
+  if (typeof provider.diarize === 'function') {
+    const limit = charge(1);
+    if (!limit.ok) return rateLimited(limit, { audio });
+    try {
+      const result = await provider.diarize(blob, language, ctx);
+      if (result) return fromProvider(base, result);
+    } catch (err) {
+      if (!(err instanceof ProviderError)) throw err;
+      // a bad key, rate limit or bad request would fail every segment just the same
+      if (!isWav || !['UPSTREAM_ERROR', 'PROVIDER_TIMEOUT'].includes(err.code)) return providerFailure(err);
+      diarizationError = err.message;
+    }
+  }
+  if (!isWav) {
+    return failure('UNSUPPORTED_FORMAT',
+      `${provider.name} has no diarization for ${audio.mime}; conversation mode splits WAV locally, so record or upload WAV`, { audio });
+  }
+
+  // Local path: blob is mono 16-bit WAV here, at 16 kHz unless the provider takes any rate (see audio-format.js)
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const wav = parseWavHeader(bytes);
+  const rate = wav.sampleRate;
+  const samples = decodeWavMono(bytes, wav);
+  const spans = segmentAtPauses(samples, rate);
+  if (!spans.length) {
+    return failure('NO_SPEECH', 'No speech found in the recording', { ...base, diarization: 'clustering' });
+  }
+  if (spans.length > MAX_SEGMENTS) {
+    return failure('PAYLOAD_TOO_LARGE', `Too many segments (${spans.length}); max ${MAX_SEGMENTS}`, { audio });
+  }
+
+  const limit = charge(spans.length * callsPerSegment);
+  if (!limit.ok) return rateLimited(limit, { audio });
+
+  const pieces = spans.map(s => samples.subarray(Math.round(s.startMs * rate / 1000), Math.round(s.endMs * rate / 1000)));
+  const results = await mapLimit(pieces, SEGMENT_CONCURRENCY, async piece => {
+    const segBlob = new Blob([encodeWav16(piece, rate)], { type: 'audio/wav' });
+    try {
+      return await provider.transcribe(segBlob, language, { ...ctx, audio: { ...audio, durationMs: Math.round(piece.length / rate * 1000) } });
+    } catch (err) {
+      if (err instanceof ProviderError) return { candidates: [], failed: err };
+      throw err;
+    }
+  });
+  const failed = results.filter(r => r.failed);
+  if (failed.length === results.length) return providerFailure(failed[0].failed);
+
+  const labels = clusterSpeakers(pieces.map(p => voiceFeatures(p, rate)), { speakers });
+  const segments = spans.map((span, index) => {
+    const r = results[index];
+    const seg = {
+      index,
+      startMs: span.startMs,
+      endMs: span.endMs,
+      speaker: labels[index],
+      text: r.candidates[0] || '',
+      candidates: r.candidates,
+      confidence: r.details?.[0]?.confidence ?? null
+    };
+    if (r.failed) Object.assign(seg, { error: r.failed.message, code: r.failed.code });
+    else if (!r.candidates.length) seg.error = r.error || 'No speech recognized';
+    return seg;
+  });
+  if (!segments.some(s => s.text)) {
+    return failure('NO_SPEECH', 'No speech recognized in any segment', { ...base, diarization: 'clustering', segments });
+  }
+
+  const body = { ...base, durationMs: audio.durationMs ?? null, diarization: 'clustering', speakers: [...new Set(labels)], segments };
+  if (diarizationError) body.diarizationError = diarizationError;
+  return { status: 200, body };
+}
+
+// provider.diarize result { segments: [{ startMs, endMs, speaker, text, confidence? }], meta? } -> response
+function fromProvider(base, { segments: raw = [], meta = {} }) {
+  const kept = raw.filter(s => (s.text || '').trim()).sort((a, b) => a.startMs - b.startMs);
+  if (!kept.length) {
+    return failure('NO_SPEECH', 'No speech recognized', { ...base, ...meta, diarization: 'provider' });
+  }
+  const labels = relabelSpeakers(kept.map(s => s.speaker));
+  const segments = kept.map((s, index) => {
+    const text = s.text.trim();
+    return {
+      index,
+      startMs: Math.round(s.startMs),
+      endMs: Math.round(s.endMs),
+      speaker: labels[index],
+      text,
+      candidates: [text],
+      confidence: Number.isFinite(s.confidence) ? s.confidence : null
+    };
+  });
+  return {
+    status: 200,
+    body: {
+      ...base,
+      ...meta,
+      durationMs: base.audio.durationMs ?? segments[segments.length - 1].endMs,
+      diarization: 'provider',
+      speakers: [...new Set(labels)],
+      segments
+    }
+  };
+}
+
+function tooLong(durationMs, extra) {
+  return failure('PAYLOAD_TOO_LARGE', `Recording too long (${Math.round(durationMs / 1000)} s); max ${MAX_DURATION_MS / 60000} minutes`, extra);
+}
+
+function rateLimited({ retryAfter }, extra) {
+  return failure('RATE_LIMITED', `Too many requests; retry in ${retryAfter}s`, { retryAfter, ...extra });
+}
+
+function providerFailure(err) {
+  return failure(err.code, err.message, err.retryAfter != null ? { retryAfter: err.retryAfter } : {});
+}
+
+function failure(code, message, extra = {}) {
+  return { status: statusFor(code), body: { error: message, code, segments: [], ...extra } };
+}
@@ -0,0 +1,54 @@
+// api/_lib/corrections.js
+// Personalization hint (`corrections` field): homophone chips the user confirmed earlier,
+// as [{ heard, chosen, count }] kept client-side. Confirmed choices rank first in the
+// homophone lists and candidates the user has corrected before are flagged.
+
+export const MAX_CORRECTIONS = 1000;
+const MAX_TEXT_CHARS = 16;
+
+export function parseCorrections(raw) {
+  const t = (raw || '').toString().trim();
+  if (!t) return [];
+  let list;
+  try {
+    list = JSON.parse(t);
+  } catch {
+    throw new Error('corrections: invalid JSON');
+  }
+  if (!Array.isArray(list)) throw new Error('corrections: expected a JSON array');
+  if (list.length > MAX_CORRECTIONS) throw new Error(`Too many corrections (${list.length}); max ${MAX_CORRECTIONS}`);
+  return list
+    .map(c => ({
+      heard: String(c?.heard ?? '').trim(),
+      chosen: String(c?.chosen ?? '').trim(),
+      count: Math.max(1, Number.parseInt(c?.count, 10) || 1)
+    }))
+    .filter(c => c.heard && c.chosen && c.heard !== c.chosen &&
+      c.heard.length <= MAX_TEXT_CHARS && c.chosen.length <= MAX_TEXT_CHARS);
+}
+
+// chosen text -> times confirmed (over every `heard`)
+export function preferredChoices(corrections) {
+  const out = new Map();
+  for (const c of corrections) out.set(c.chosen, (out.get(c.chosen) || 0) + c.count);
+  return out;
+}
+
+// Candidates the user has corrected before (Han-only text compared, so "好。" matches "好";
+// text without Han ignores punctuation and spacing, so "눈." matches "눈")
+// -> [{ index, heard, chosen, count }], most confirmed choice per candidate
+export function correctedCandidates(candidates, corrections) {
+  const key = s => {
+    const han = [...(s || '')].filter(ch => /\p{Script=Han}/u.test(ch)).join('');
+    return han || (s || '').replace(/[\p{P}\s]+/gu, '').toLowerCase();
+  };
+  const out = [];
+  candidates.forEach((text, index) => {
+    const k = key(text);
+    const best = corrections
+      .filter(c => key(c.heard) === k)
+      .sort((a, b) => b.count - a.count)[0];
+    if (best) out.push({ index, heard: best.heard, chosen: best.chosen, count: best.count });
+  });
+  return out;
+}
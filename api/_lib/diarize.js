@@ -0,0 +1,198 @@
+// api/_lib/diarize.js
+// Local fallback for conversation mode when the provider can't tell speakers apart:
+// cut mono PCM at pauses, describe each segment's voice (pitch + spectral shape) and
+// group segments by voice. A rough heuristic: it separates clearly different voices
+// (low/high pitch, different timbre) and will merge similar ones.
+
+const FRAME_MS = 20;
+const MIN_RMS = 0.01;      // same speech thresholds as public/js/vad.js
+const NOISE_FACTOR = 3;
+const ZCR_MAX = 0.45;
+
+// ---------- segmentation ----------
+
+// samples: mono Float32Array at `rate`
+// -> [{ startMs, endMs }] speech spans; pauses shorter than minPauseMs stay inside a span,
+//    spans longer than maxSegmentMs are cut at their quietest frame
+export function segmentAtPauses(samples, rate, { minPauseMs = 500, maxSegmentMs = 15000, padMs = 150, minSpeechMs = 250 } = {}) {
+  const frame = Math.max(1, Math.round(rate * FRAME_MS / 1000));
+  const rms = [], zcr = [];
+  for (let i = 0; i < samples.length; i += frame) {
+    let sum = 0, crossings = 0;
+    const end = Math.min(samples.length, i + frame);
+    for (let j = i; j < end; j++) {
+      sum += samples[j] * samples[j];
+      if (j > i && (samples[j] >= 0) !== (samples[j - 1] >= 0)) crossings++;
+    }
+    rms.push(Math.sqrt(sum / (end - i)));
+    zcr.push(crossings / (end - i));
+  }
+  if (!rms.length) return [];
+  const noiseFloor = [...rms].sort((a, b) => a - b)[Math.floor(rms.length * 0.1)];
+  const threshold = Math.max(MIN_RMS, noiseFloor * NOISE_FACTOR);
+  const speech = rms.map((r, f) => zcr[f] <= ZCR_MAX && (r >= threshold || (r >= threshold * 0.5 && zcr[f] >= 0.1)));
+
+  // speech runs, joined across short pauses
+  const pauseFrames = Math.round(minPauseMs / FRAME_MS);
+  const runs = [];
+  for (let f = 0; f < speech.length; f++) {
+    if (!speech[f]) continue;
+    const last = runs[runs.length - 1];
+    if (last && f - last.end <= pauseFrames) {
+      last.end = f + 1;
+      last.voiced++;
+    } else {
+      runs.push({ start: f, end: f + 1, voiced: 1 });
+    }
+  }
+
+  const maxFrames = Math.round(maxSegmentMs / FRAME_MS);
+  const spans = [];
+  for (const run of runs.filter(r => r.voiced * FRAME_MS >= minSpeechMs)) {
+    let { start } = run;
+    while (run.end - start > maxFrames) {
+      let cut = start + maxFrames;
+      for (let f = start + Math.floor(maxFrames / 2); f < start + maxFrames; f++) if (rms[f] < rms[cut]) cut = f;
+      spans.push([start, cut]);
+      start = cut;
+    }
+    spans.push([start, run.end]);
+  }
+
+  // pad each span, but never past the middle of the gap to its neighbour
+  const pad = Math.round(padMs / FRAME_MS);
+  const total = samples.length / rate * 1000;
+  return spans.map(([s, e], i) => {
+    const prevEnd = i > 0 ? spans[i - 1][1] : -Infinity;
+    const nextStart = i < spans.length - 1 ? spans[i + 1][0] : Infinity;
+    const from = Math.max(s - pad, Math.ceil((prevEnd + s) / 2), 0);
+    const to = Math.min(e + pad, Math.floor((e + nextStart) / 2));
+    return { startMs: from * FRAME_MS, endMs: Math.min(total, to * FRAME_MS) };
+  });
+}
+
+// ---------- voice features ----------
+
+const ANALYSIS_MS = 8000;          // at most this much of a segment is analysed
+const PITCH_FRAMES = 40;           // voiced frames sampled for pitch
+const MIN_F0 = 70, MAX_F0 = 400;
+const BANDS_HZ = [250, 500, 1000, 2000, 4000];
+const SEMITONES_PER_UNIT = 3;      // feature scale: 3 semitones of pitch ~ 3 dB of band level
+const DB_PER_UNIT = 3;
+
+// Median pitch by autocorrelation over a sample of the loudest frames -> Hz or null
+function medianPitch(x, rate) {
+  const size = Math.round(rate * 0.04), hop = Math.round(rate * 0.02);
+  const frames = [];
+  for (let i = 0; i + size <= x.length; i += hop) {
+    let e = 0;
+    for (let j = i; j < i + size; j++) e += x[j] * x[j];
+    frames.push({ i, e });
+  }
+  const loud = frames.sort((a, b) => b.e - a.e).slice(0, Math.max(1, Math.floor(frames.length / 2)));
+  const step = Math.max(1, Math.floor(loud.length / PITCH_FRAMES));
+  const minLag = Math.floor(rate / MAX_F0), maxLag = Math.ceil(rate / MIN_F0);
+  const pitches = [];
+  for (let k = 0; k < loud.length; k += step) {
+    const { i, e } = loud[k];
+    if (!e) continue;
+    let best = 0, bestLag = 0;
+    for (let lag = minLag; lag <= maxLag && lag < size; lag++) {
+      let c = 0;
+      for (let j = i; j + lag < i + size; j++) c += x[j] * x[j + lag];
+      const r = c / e;
+      if (r > best) { best = r; bestLag = lag; }
+    }
+    if (best > 0.3 && bestLag) pitches.push(rate / bestLag);
+  }
+  if (!pitches.length) return null;
+  pitches.sort((a, b) => a - b);
+  return pitches[Math.floor(pitches.length / 2)];
+}
+
+// Share of energy in each band (constant-skirt biquad band-passes, Q = 1) in dB
+function bandShape(x, rate) {
+  const energies = BANDS_HZ.map(f0 => {
+    const w = 2 * Math.PI * f0 / rate, alpha = Math.sin(w) / 2;
+    const a0 = 1 + alpha;
+    const b0 = alpha / a0, b2 = -alpha / a0, a1 = -2 * Math.cos(w) / a0, a2 = (1 - alpha) / a0;
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0, sum = 0;
+    for (let i = 0; i < x.length; i++) {
+      const y = b0 * x[i] + b2 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1; x1 = x[i]; y2 = y1; y1 = y;
+      sum += y * y;
+    }
+    return sum + 1e-12;
+  });
+  const total = energies.reduce((a, b) => a + b, 0);
+  return energies.map(e => 10 * Math.log10(e / total));
+}
+
+// One segment's voice -> feature vector in comparable units (see SEMITONES_PER_UNIT), or null
+export function voiceFeatures(samples, rate) {
+  const n = Math.min(samples.length, Math.round(rate * ANALYSIS_MS / 1000));
+  const from = Math.floor((samples.length - n) / 2);
+  const x = samples.subarray(from, from + n);
+  if (x.length < rate * 0.2) return null;
+  const f0 = medianPitch(x, rate);
+  if (!f0) return null;
+  return [12 * Math.log2(f0 / 100) / SEMITONES_PER_UNIT, ...bandShape(x, rate).map(db => db / DB_PER_UNIT)];
+}
+
+// ---------- clustering ----------
+
+const MERGE_DISTANCE = 1.6; // average-linkage distance (feature units) below which voices merge
+
+function distance(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += (a[i] - b[i]) ** 2;
+  return Math.sqrt(s);
+}
+
+// features: per segment vector or null; speakers: known speaker count (0 = decide by distance)
+// -> labels aligned with features ("S1", "S2", … in order of first appearance). Segments
+//    without features (too short, unvoiced) take the label of the nearest segment before them.
+export function clusterSpeakers(features, { speakers = 0, maxSpeakers = 6 } = {}) {
+  const idx = features.map((f, i) => (f ? i : -1)).filter(i => i >= 0);
+  let clusters = idx.map(i => [i]);
+  const linkage = (a, b) => {
+    let s = 0;
+    for (const i of a) for (const j of b) s += distance(features[i], features[j]);
+    return s / (a.length * b.length);
+  };
+
+  while (clusters.length > 1) {
+    let best = Infinity, bi = 0, bj = 1;
+    for (let i = 0; i < clusters.length; i++) {
+      for (let j = i + 1; j < clusters.length; j++) {
+        const d = linkage(clusters[i], clusters[j]);
+        if (d < best) { best = d; bi = i; bj = j; }
+      }
+    }
+    const enough = speakers ? clusters.length <= speakers : clusters.length <= maxSpeakers && best > MERGE_DISTANCE;
+    if (enough) break;
+    clusters[bi] = clusters[bi].concat(clusters[bj]);
+    clusters.splice(bj, 1);
+  }
+
+  const clusterOf = new Map();
+  clusters.forEach((c, k) => c.forEach(i => clusterOf.set(i, k)));
+  const names = new Map();
+  let prev = null;
+  return features.map((_, i) => {
+    const k = clusterOf.has(i) ? clusterOf.get(i) : prev ?? clusterOf.get(idx[0]) ?? 0;
+    prev = k;
+    if (!names.has(k)) names.set(k, `S${names.size + 1}`);
+    return names.get(k);
+  });
+}
+
+// Provider speaker ids (1, 2 / "A", "B" / "speaker_0") -> "S1", "S2", … in order of first appearance
+export function relabelSpeakers(ids) {
+  const names = new Map();
+  return ids.map(id => {
+    const key = id ?? '?';
+    if (!names.has(key)) names.set(key, `S${names.size + 1}`);
+    return names.get(key);
+  });
+}
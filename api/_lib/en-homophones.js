@@ -0,0 +1,90 @@
+// api/_lib/en-homophones.js
+// English homophones from the bundled CMU-dict index in public/en-homophones/
+// (see scripts/build-en-homophones.mjs), plus number words <-> digits.
+
+const SHARD_CACHE = new Map();     // "tw" -> { two: { phonemes, homophones, near }, ... }
+const NORMALIZE_TIMEOUT_MS = 3000; // number forms are optional; don't hold up the response
+
+// English candidates only. Single tokens get index homophones; any text that
+// is one number (cardinal, ordinal, currency, date, time, ...) gets all its
+// equivalent forms, and number spans inside longer text are listed in `numbers`.
+// Returns { input, phonemes: ["T UW"], homophones: [...], near: [{ word, distance: 1 }],
+//           numberType, numbers: [{ text, type, forms }] } or null.
+export async function buildEnHomophones(candidates, baseUrl, bcp47) {
+  try {
+    let top = (candidates && candidates[0] || '').trim();
+    if (!top) return null;
+
+    const primary = (bcp47 || '').split('-')[0].toLowerCase();
+    if (primary !== 'en') return null; // ONLY do this in English
+
+    // Trim trailing punctuation (e.g., "Two." -> "Two")
+    top = top.replace(/[\.。！？!?…，,；;：:]+$/u, '');
+    const singleToken = !/\s/.test(top);
+
+    // Ask Node helper to normalize numbers (all forms, plus spans inside the text)
+    const normURL = new URL(`/api/num-normalize?text=${encodeURIComponent(top)}`, baseUrl).toString();
+    let norm = null;
+    try {
+      const r = await fetch(normURL, { headers: { 'accept': 'application/json' }, signal: AbortSignal.timeout(NORMALIZE_TIMEOUT_MS) });
+      if (r.ok) norm = await r.json();
+    } catch {}
+
+    const numberForms = norm?.type
+      ? [...(norm.forms || []), ...(norm.alternatives || []).flatMap(a => a.forms || [])]
+      : [];
+    const numbers = (norm?.spans || [])
+      .filter(sp => !norm.type)
+      .map(sp => ({ text: sp.text, type: sp.type, forms: sp.forms }));
+
+    // Decide which word to look up
+    const wordForm = (norm?.wordForm || '').toLowerCase();
+    let queryWord = null;
+    if (wordForm && /^[a-z]+(?:'[a-z]+)?$/.test(wordForm)) {
+      queryWord = wordForm;                   // if number detected, query on the word form
+    } else if (singleToken && /^[a-z]+(?:'[a-z]+)?$/i.test(top)) {
+      queryWord = top.toLowerCase();          // otherwise, plain ASCII word
+    }
+
+    const entry = queryWord ? await lookupWord(baseUrl, queryWord) : null;
+
+    // Union index homophones + number forms, excluding the top token itself
+    const byKey = new Map();
+    for (const w of [...(entry?.homophones || []), ...numberForms]) {
+      if (!byKey.has(w.toLowerCase())) byKey.set(w.toLowerCase(), w);
+    }
+    byKey.delete(top.toLowerCase());
+
+    const homos = Array.from(byKey.values());
+    const near = (entry?.near || [])
+      .filter(w => !byKey.has(w) && w !== top.toLowerCase())
+      .map(word => ({ word, distance: 1 }));
+    if (homos.length === 0 && near.length === 0 && numbers.length === 0) return null;
+    return {
+      input: top,
+      phonemes: entry?.phonemes || [],
+      homophones: homos.slice(0, 30),
+      near,
+      numberType: norm?.type || null,
+      numbers
+    };
+  } catch {
+    return null;
+  }
+}
+
+async function lookupWord(baseUrl, word) {
+  const prefix = word.replace(/'/g, '').slice(0, 2);
+  if (!prefix) return null;
+  const shard = await loadShard(baseUrl, prefix);
+  return shard[word] || null;
+}
+
+async function loadShard(baseUrl, prefix) {
+  if (SHARD_CACHE.has(prefix)) return SHARD_CACHE.get(prefix);
+  const url = new URL(`/en-homophones/${prefix}.json`, baseUrl).toString();
+  const r = await fetch(url);
+  const obj = r.ok ? await r.json() : {};
+  SHARD_CACHE.set(prefix, obj);
+  return obj;
+}
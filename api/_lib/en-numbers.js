@@ -0,0 +1,495 @@
+// api/_lib/en-numbers.js
+// English number spans: finds cardinals, ordinals, decimals, negatives,
+// currency, years, dates and times in free text (digits or words) and
+// renders every equivalent written/spoken form. Used by /api/num-normalize.
+import ntwMod from 'number-to-words';
+
+const toWords        = typeof ntwMod === 'function' ? ntwMod : ntwMod?.toWords;
+const toOrdinal      = ntwMod?.toOrdinal;
+const toWordsOrdinal = ntwMod?.toWordsOrdinal;
+
+export function numberWordsAvailable() {
+  return typeof toWords === 'function' && typeof toOrdinal === 'function' && typeof toWordsOrdinal === 'function';
+}
+
+const MAX_VALUE = 999_999_999_999;
+
+/* ======================= vocabulary ======================= */
+
+const UNITS = { zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+const TEENS = {
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+};
+const TENS = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+const MAGNITUDES = { thousand: 1e3, million: 1e6, billion: 1e9 };
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+  tenth: 10, eleventh: 11, twelfth: 12, thirteenth: 13, fourteenth: 14, fifteenth: 15,
+  sixteenth: 16, seventeenth: 17, eighteenth: 18, nineteenth: 19,
+  twentieth: 20, thirtieth: 30, fortieth: 40, fiftieth: 50, sixtieth: 60,
+  seventieth: 70, eightieth: 80, ninetieth: 90,
+  hundredth: 100, thousandth: 1e3, millionth: 1e6, billionth: 1e9
+};
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+const MONTH_INDEX = new Map();
+MONTHS.forEach((m, i) => {
+  MONTH_INDEX.set(m.toLowerCase(), i + 1);
+  MONTH_INDEX.set(m.slice(0, 3).toLowerCase(), i + 1);
+});
+MONTH_INDEX.set('sept', 9);
+
+const CURRENCIES = {
+  USD: { symbol: '$', major: ['dollar', 'dollars'], minor: ['cent', 'cents'] },
+  EUR: { symbol: '€', major: ['euro', 'euros'], minor: ['cent', 'cents'] },
+  GBP: { symbol: '£', major: ['pound', 'pounds'], minor: ['penny', 'pence'] },
+  JPY: { symbol: '¥', major: ['yen', 'yen'], minor: null }
+};
+const SYMBOL_CURRENCY = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const MAJOR_WORDS = new Map([['buck', 'USD'], ['bucks', 'USD']]);
+const MINOR_WORDS = new Map();
+for (const [code, c] of Object.entries(CURRENCIES)) {
+  c.major.forEach(w => MAJOR_WORDS.set(w, code));
+  // "cents" is shared; the first listed (USD) wins
+  (c.minor || []).forEach(w => { if (!MINOR_WORDS.has(w)) MINOR_WORDS.set(w, code); });
+}
+
+/* ======================= tokenizer ======================= */
+
+// Each token: { text, lower, kind, start, end, gap } – gap: whitespace before it
+const TOKEN_RE = new RegExp([
+  '(\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?)',                       // 1 slash date
+  '(\\d{1,2}:[0-5]\\d)',                                          // 2 clock time
+  '((?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?)(st|nd|rd|th)?',    // 3 number, 4 ordinal suffix
+  '([ap]\\.m\\.?)',                                               // 5 a.m./p.m.
+  "([A-Za-z]+(?:['’][A-Za-z]+)?)",                                // 6 word
+  '(\\S)'                                                         // 7 symbol
+].join('|'), 'gi');
+
+function tokenize(text) {
+  const out = [];
+  let prevEnd = 0;
+  for (const m of text.matchAll(TOKEN_RE)) {
+    const start = m.index, end = start + m[0].length;
+    const tok = { text: m[0], lower: m[0].toLowerCase().replace('’', "'"), start, end, gap: start > prevEnd || start === 0 };
+    if (m[1]) tok.kind = 'slashdate';
+    else if (m[2]) tok.kind = 'clock';
+    else if (m[3] && m[4]) { tok.kind = 'ordnum'; tok.value = Number(m[3].replace(/,/g, '')); }
+    else if (m[3]) { tok.kind = 'num'; tok.value = Number(m[3].replace(/,/g, '')); tok.decimal = m[3].includes('.'); }
+    else if (m[5]) { tok.kind = 'word'; tok.lower = tok.lower[0] === 'a' ? 'am' : 'pm'; }
+    else if (m[6]) tok.kind = 'word';
+    else tok.kind = 'sym';
+    out.push(tok);
+    prevEnd = end;
+  }
+  return out;
+}
+
+/* ======================= word-number parsing ======================= */
+
+function wordInfo(tok) {
+  if (!tok || tok.kind !== 'word') return null;
+  const w = tok.lower;
+  if (w in UNITS) return { kind: 'unit', value: UNITS[w] };
+  if (w in TEENS) return { kind: 'teen', value: TEENS[w] };
+  if (w in TENS) return { kind: 'tens', value: TENS[w] };
+  if (w === 'hundred') return { kind: 'hundred', value: 100 };
+  if (w in MAGNITUDES) return { kind: 'mag', value: MAGNITUDES[w] };
+  if (w in ORDINALS) {
+    const v = ORDINALS[w];
+    const kind = v < 10 ? 'unit' : v < 20 ? 'teen' : v < 100 ? 'tens' : v === 100 ? 'hundred' : 'mag';
+    return { kind, value: v, ordinal: true };
+  }
+  return null;
+}
+
+// "twenty-three": a hyphen glued to number words on both sides joins them
+function isJoiner(toks, j) {
+  return toks[j]?.text === '-' && !toks[j].gap && toks[j + 1] && !toks[j + 1].gap &&
+    wordInfo(toks[j - 1]) && wordInfo(toks[j + 1]);
+}
+
+// One well-formed cardinal/ordinal in words starting at i.
+// Returns { value, end, ordinal, simple } (simple: no hundred/magnitude) or null.
+function parseWordNumber(toks, i) {
+  let total = 0, current = 0, last = null, lastMag = Infinity;
+  let j = i, end = i, ordinal = false, simple = true;
+
+  while (j < toks.length) {
+    if (isJoiner(toks, j)) { j++; continue; }
+    if (toks[j].lower === 'and' && (last === 'hundred' || last === 'mag') && wordInfo(toks[j + 1])) { j++; continue; }
+    const info = wordInfo(toks[j]);
+    if (!info) break;
+
+    const ok =
+      info.kind === 'unit' ? (last === null || last === 'hundred' || last === 'mag' || (last === 'tens' && current % 10 === 0)) && !(info.value === 0 && last !== null)
+      : info.kind === 'teen' || info.kind === 'tens' ? (last === null || last === 'hundred' || last === 'mag')
+      : info.kind === 'hundred' ? (last === 'unit' || last === 'teen' || last === 'tens') && current > 0 && current < 100
+      : /* mag */ (last !== null && last !== 'mag' && current > 0 && info.value < lastMag);
+    if (!ok) break;
+
+    if (info.kind === 'hundred') { current *= 100; simple = false; }
+    else if (info.kind === 'mag') { total += current * info.value; current = 0; lastMag = info.value; simple = false; }
+    else current += info.value;
+
+    last = info.kind;
+    j++; end = j;
+    if (info.ordinal) { ordinal = true; break; }
+  }
+  if (end === i) return null;
+  return { value: total + current, end, ordinal, simple };
+}
+
+// Digits or words at i → { value, end, ordinal, decimal, simple, words }
+function parseNumberAt(toks, i) {
+  const t = toks[i];
+  if (!t) return null;
+  if (t.kind === 'num') return { value: t.value, end: i + 1, ordinal: false, decimal: t.decimal, simple: t.value < 100, words: false };
+  if (t.kind === 'ordnum') return { value: t.value, end: i + 1, ordinal: true, decimal: false, simple: t.value < 100, words: false };
+  const w = parseWordNumber(toks, i);
+  return w ? { ...w, decimal: false, words: true } : null;
+}
+
+// "point five", "point one four" after a word number
+function parsePointDigits(toks, i) {
+  if (toks[i]?.lower !== 'point') return null;
+  let j = i + 1, digits = '';
+  while (toks[j] && (toks[j].lower in UNITS || toks[j].lower === 'oh')) {
+    digits += toks[j].lower === 'oh' ? '0' : String(UNITS[toks[j].lower]);
+    j++;
+  }
+  return digits ? { digits, end: j } : null;
+}
+
+// number-to-words throws past the safe-integer range: spans beyond MAX_VALUE are left alone
+function inRange(x) {
+  return Number.isFinite(x) && Math.abs(x) <= MAX_VALUE;
+}
+
+function meridiemAt(toks, i) {
+  const w = toks[i]?.lower;
+  return w === 'am' || w === 'pm' ? w : null;
+}
+
+/* ======================= span rules ======================= */
+
+// Month-led date: "March 3rd", "March third, 2024", "Mar 3 1999"
+function matchMonthDate(toks, i) {
+  const month = MONTH_INDEX.get(toks[i]?.lower);
+  if (!month) return null;
+  let j = i + 1;
+  if (toks[j]?.text === '.' && !toks[j].gap) j++;
+  const day = parseNumberAt(toks, j);
+  if (!day || day.decimal || day.value < 1 || day.value > 31) return null;
+  let end = day.end;
+  const year = matchDateYear(toks, toks[end]?.text === ',' ? end + 1 : end);
+  if (year) end = year.end;
+  return { end, type: 'date', value: { month, day: day.value, year: year ? year.value : null } };
+}
+
+// "the third of March", "3rd of March 2024"
+function matchDayOfMonth(toks, i) {
+  let j = toks[i]?.lower === 'the' ? i + 1 : i;
+  const day = parseNumberAt(toks, j);
+  if (!day || !day.ordinal || day.value < 1 || day.value > 31) return null;
+  if (toks[day.end]?.lower !== 'of') return null;
+  const month = MONTH_INDEX.get(toks[day.end + 1]?.lower);
+  if (!month) return null;
+  let end = day.end + 2;
+  const year = matchDateYear(toks, toks[end]?.text === ',' ? end + 1 : end);
+  if (year) end = year.end;
+  return { end, type: 'date', value: { month, day: day.value, year: year ? year.value : null } };
+}
+
+function matchDateYear(toks, i) {
+  const t = toks[i];
+  if (t?.kind === 'num' && !t.decimal && t.value >= 1000 && t.value <= 2999) return { value: t.value, end: i + 1 };
+  const pair = matchPair(toks, i);
+  if (pair && pair.a >= 10) return { value: pair.a * 100 + pair.b, end: pair.end };
+  const n = parseWordNumber(toks, i);
+  if (n && !n.ordinal && n.value >= 1000 && n.value <= 2999) return { value: n.value, end: n.end };
+  return null;
+}
+
+function matchSlashDate(toks, i) {
+  const t = toks[i];
+  if (t?.kind !== 'slashdate') return null;
+  const [m, d, y] = t.text.split('/').map(Number);
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const year = y === undefined ? null : y < 100 ? 2000 + y : y;
+  return { end: i + 1, type: 'date', value: { month: m, day: d, year } };
+}
+
+// "3:30", "3:30 pm"
+function matchClock(toks, i) {
+  const t = toks[i];
+  if (t?.kind !== 'clock') return null;
+  const [hour, minute] = t.text.split(':').map(Number);
+  if (hour > 23) return null;
+  const meridiem = hour <= 12 ? meridiemAt(toks, i + 1) : null;
+  return { end: meridiem ? i + 2 : i + 1, type: 'time', value: { hour, minute, meridiem } };
+}
+
+// Two spoken groups: "nineteen eighty four", "twelve fifty", "three oh five"
+function matchPair(toks, i) {
+  const a = parseWordNumber(toks, i);
+  if (!a || a.ordinal || !a.simple || a.value < 1) return null;
+  let j = a.end;
+  if ((toks[j]?.lower === 'oh' || toks[j]?.lower === 'o') && toks[j + 1]?.lower in UNITS && UNITS[toks[j + 1].lower] > 0) {
+    return { a: a.value, b: UNITS[toks[j + 1].lower], oh: true, end: j + 2 };
+  }
+  const b = parseWordNumber(toks, j);
+  if (!b || b.ordinal || !b.simple || b.value < 10) return null;
+  return { a: a.value, b: b.value, oh: false, end: b.end };
+}
+
+// "$4.99", "€3", "4.99 dollars", "four dollars and ninety nine cents", "ninety nine cents"
+function matchCurrency(toks, i) {
+  const t = toks[i];
+  if (t?.kind === 'sym' && SYMBOL_CURRENCY[t.text]) {
+    const n = toks[i + 1];
+    if (n?.kind !== 'num' || (n.gap && toks[i + 1].start - t.end > 1) || !inRange(n.value)) return null;
+    return { end: i + 2, type: 'currency', value: { amount: n.value, currency: SYMBOL_CURRENCY[t.text] } };
+  }
+
+  const major = parseNumberAt(toks, i);
+  if (!major || major.ordinal || !inRange(major.value)) return null;
+  const unit = toks[major.end]?.lower;
+
+  if (MAJOR_WORDS.has(unit)) {
+    const code = MAJOR_WORDS.get(unit);
+    let end = major.end + 1, cents = 0;
+    let j = toks[end]?.lower === 'and' ? end + 1 : end;
+    const minor = parseNumberAt(toks, j);
+    if (minor && !minor.ordinal && !minor.decimal && minor.value < 100) {
+      const after = toks[minor.end]?.lower;
+      if (MINOR_WORDS.get(after) === code) { cents = minor.value; end = minor.end + 1; }
+      else if (j === end) { cents = minor.value; end = minor.end; }   // "four dollars ninety nine"
+    }
+    return { end, type: 'currency', value: { amount: round2(major.value + cents / 100), currency: code } };
+  }
+  if (MINOR_WORDS.has(unit) && !major.decimal && major.value < 100) {
+    return { end: major.end + 1, type: 'currency', value: { amount: round2(major.value / 100), currency: MINOR_WORDS.get(unit) } };
+  }
+  return null;
+}
+
+// "minus seven", "negative one point five", "-7", "-3.2"
+function matchNegative(toks, i) {
+  const t = toks[i];
+  let j;
+  if (t?.lower === 'minus' || t?.lower === 'negative') j = i + 1;
+  else if ((t?.text === '-' || t?.text === '−') && toks[i + 1] && !toks[i + 1].gap && !wordInfo(toks[i - 1])) j = i + 1;
+  else return null;
+
+  const n = parseNumberAt(toks, j);
+  if (!n || n.ordinal) return null;
+  let value = n.value, end = n.end;
+  const point = n.words ? parsePointDigits(toks, end) : null;
+  if (point) { value = Number(`${n.value}.${point.digits}`); end = point.end; }
+  if (value === 0 || !inRange(value)) return null;
+  return { end, type: 'negative', value: -value };
+}
+
+// Number-led spans: ordinals, decimals, cardinals, spoken pairs, "three pm", "three o'clock"
+function matchNumber(toks, i) {
+  const pair = matchPair(toks, i);
+  if (pair) {
+    const mer = meridiemAt(toks, pair.end);
+    const timeOk = pair.a <= 23 && pair.b <= 59 && (!mer || pair.a <= 12);
+    if (mer && timeOk) {
+      return { end: pair.end + 1, type: 'time', value: { hour: pair.a, minute: pair.b, meridiem: mer } };
+    }
+    const readings = [];
+    if (pair.a >= 13 || !timeOk) readings.push({ type: 'year', value: pair.a * 100 + pair.b });
+    if (timeOk) readings.push({ type: 'time', value: { hour: pair.a, minute: pair.b, meridiem: null } });
+    if (!pair.oh) readings.push({ type: 'currency', value: { amount: round2(pair.a + pair.b / 100), currency: 'USD' } });
+    if (pair.a >= 10 && pair.a <= 12 && timeOk) readings.push({ type: 'year', value: pair.a * 100 + pair.b });
+    const [primary, ...alternatives] = readings;
+    return { end: pair.end, ...primary, alternatives };
+  }
+
+  const n = parseNumberAt(toks, i);
+  if (!n || !inRange(n.value)) return null;
+  if (n.ordinal) return { end: n.end, type: 'ordinal', value: n.value };
+  if (n.decimal) return { end: n.end, type: 'decimal', value: n.value };
+
+  const point = n.words ? parsePointDigits(toks, n.end) : null;
+  if (point) return { end: point.end, type: 'decimal', value: Number(`${n.value}.${point.digits}`) };
+
+  const mer = meridiemAt(toks, n.end);
+  if (mer && n.value >= 1 && n.value <= 12) {
+    return { end: n.end + 1, type: 'time', value: { hour: n.value, minute: 0, meridiem: mer } };
+  }
+  if (toks[n.end]?.lower === "o'clock" && n.value >= 1 && n.value <= 12) {
+    return { end: n.end + 1, type: 'time', value: { hour: n.value, minute: 0, meridiem: null } };
+  }
+
+  const alternatives = (!n.words && n.value >= 1100 && n.value <= 2099) ? [{ type: 'year', value: n.value }] : [];
+  return { end: n.end, type: 'cardinal', value: n.value, alternatives };
+}
+
+const RULES = [matchMonthDate, matchDayOfMonth, matchSlashDate, matchClock, matchCurrency, matchNegative, matchNumber];
+
+/* ======================= public API ======================= */
+
+// All number spans in text, left to right, non-overlapping:
+// [{ text, start, end, type, value, forms, alternatives: [{ type, value, forms }] }]
+export function findNumberSpans(text) {
+  const toks = tokenize(text || '');
+  const spans = [];
+  let i = 0;
+  while (i < toks.length) {
+    let m = null;
+    for (const rule of RULES) {
+      m = rule(toks, i);
+      if (m) break;
+    }
+    if (!m) { i++; continue; }
+    const start = toks[i].start, end = toks[m.end - 1].end;
+    spans.push({
+      text: text.slice(start, end),
+      start,
+      end,
+      type: m.type,
+      value: m.value,
+      forms: formsFor(m.type, m.value),
+      alternatives: (m.alternatives || []).map(a => ({ ...a, forms: formsFor(a.type, a.value) }))
+    });
+    i = m.end;
+  }
+  return spans;
+}
+
+// Every written/spoken form of a typed value, most canonical first
+export function formsFor(type, value) {
+  const forms =
+    type === 'cardinal' ? cardinalForms(value)
+    : type === 'ordinal' ? [toOrdinal(value), words(toWordsOrdinal(value))]
+    : type === 'decimal' ? decimalForms(value)
+    : type === 'negative' ? negativeForms(value)
+    : type === 'currency' ? currencyForms(value)
+    : type === 'year' ? yearForms(value)
+    : type === 'date' ? dateForms(value)
+    : type === 'time' ? timeForms(value)
+    : [];
+  return [...new Set(forms.filter(Boolean))];
+}
+
+/* ======================= renderers ======================= */
+
+function words(s) {
+  return String(s).replace(/,/g, '');
+}
+
+function cardinalWords(n) {
+  return words(toWords(n));
+}
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+function cardinalForms(n) {
+  return [String(n), n >= 1000 ? n.toLocaleString('en-US') : null, cardinalWords(n)];
+}
+
+function decimalWords(x) {
+  const [int, frac = ''] = String(Math.abs(x)).split('.');
+  const fracWords = [...frac].map(d => cardinalWords(Number(d))).join(' ');
+  return frac ? `${cardinalWords(Number(int))} point ${fracWords}` : cardinalWords(Number(int));
+}
+
+function decimalForms(x) {
+  const out = [String(x), decimalWords(x)];
+  if (Math.abs(x) < 1) out.push(decimalWords(x).replace(/^zero /, ''));
+  return out;
+}
+
+function negativeForms(x) {
+  const spoken = Number.isInteger(x) ? cardinalWords(-x) : decimalWords(x);
+  return [String(x), `minus ${spoken}`, `negative ${spoken}`];
+}
+
+function currencyForms({ amount, currency }) {
+  const c = CURRENCIES[currency] || CURRENCIES.USD;
+  const major = Math.floor(amount);
+  const minor = Math.round((amount - major) * 100);
+  const majorName = major === 1 ? c.major[0] : c.major[1];
+  const out = [];
+  if (minor && c.minor) {
+    const minorName = minor === 1 ? c.minor[0] : c.minor[1];
+    out.push(`${c.symbol}${amount.toFixed(2)}`, `${amount.toFixed(2)} ${c.major[1]}`);
+    if (major) {
+      out.push(`${cardinalWords(major)} ${majorName} and ${cardinalWords(minor)} ${minorName}`);
+      out.push(`${cardinalWords(major)} ${minor < 10 ? `oh ${cardinalWords(minor)}` : cardinalWords(minor)}`);
+    } else {
+      out.push(`${cardinalWords(minor)} ${minorName}`);
+    }
+  } else {
+    out.push(`${c.symbol}${major}`, c.minor ? `${c.symbol}${major}.00` : null, `${major} ${majorName}`, `${cardinalWords(major)} ${majorName}`);
+  }
+  return out;
+}
+
+function yearWords(y) {
+  const hi = Math.floor(y / 100), lo = y % 100;
+  const out = [];
+  if (y >= 2000 && y < 2010) out.push(cardinalWords(y));
+  if (lo === 0) out.push(y % 1000 === 0 ? cardinalWords(y) : `${cardinalWords(hi)} hundred`);
+  else if (lo < 10) out.push(`${cardinalWords(hi)} oh ${cardinalWords(lo)}`);
+  else out.push(`${cardinalWords(hi)} ${cardinalWords(lo)}`);
+  if (y >= 2010 && y < 2100) out.push(cardinalWords(y));
+  return out;
+}
+
+function yearForms(y) {
+  return [String(y), ...yearWords(y)];
+}
+
+function dateForms({ month, day, year }) {
+  const name = MONTHS[month - 1];
+  const ordWords = words(toWordsOrdinal(day));
+  const base = [
+    `${name} ${day}`,
+    `${name} ${toOrdinal(day)}`,
+    `${name} ${ordWords}`,
+    `the ${ordWords} of ${name}`,
+    `${month}/${day}`
+  ];
+  if (year == null) return base;
+  const pad = n => String(n).padStart(2, '0');
+  return [
+    `${name} ${day}, ${year}`,
+    `${name} ${toOrdinal(day)}, ${year}`,
+    `${name} ${ordWords}, ${yearWords(year)[0]}`,
+    `the ${ordWords} of ${name} ${yearWords(year)[0]}`,
+    `${month}/${day}/${year}`,
+    `${year}-${pad(month)}-${pad(day)}`
+  ];
+}
+
+function timeForms({ hour, minute, meridiem }) {
+  const mm = String(minute).padStart(2, '0');
+  const h12 = hour % 12 === 0 ? 12 : hour % 12;
+  const mer = meridiem || (hour > 12 ? 'pm' : null);
+  const spokenMin = minute === 0 ? null : minute < 10 ? `oh ${cardinalWords(minute)}` : cardinalWords(minute);
+  const spoken = spokenMin ? `${cardinalWords(h12)} ${spokenMin}` : `${cardinalWords(h12)} o'clock`;
+  const out = [
+    `${h12}:${mm}`,
+    mer ? `${h12}:${mm} ${mer}` : null,
+    spoken,
+    mer ? `${spokenMin ? spoken : cardinalWords(h12)} ${mer}` : null
+  ];
+  if (minute === 30) out.push(`half past ${cardinalWords(h12)}`);
+  if (minute === 15) out.push(`quarter past ${cardinalWords(h12)}`);
+  if (minute === 45) out.push(`quarter to ${cardinalWords(h12 % 12 + 1)}`);
+  if (mer === 'pm' && hour <= 12) out.push(`${(hour % 12) + 12}:${mm}`);
+  if (hour > 12) out.push(`${hour}:${mm}`);
+  return out;
+}
@@ -0,0 +1,54 @@
+// api/_lib/errors.js
+// Error codes shared by every route. Error bodies are { error: <message>, code, ... } and
+// the HTTP status always follows from the code, so clients can branch on `code` alone.
+export const ERROR_STATUS = {
+  BAD_REQUEST: 400,        // malformed form fields (unknown provider, bad phrases JSON, ...)
+  NO_AUDIO: 400,           // no audio part in the upload
+  AUDIO_TOO_SHORT: 400,    // too few bytes to hold speech
+  METHOD_NOT_ALLOWED: 405,
+  PAYLOAD_TOO_LARGE: 413,  // more clips than a batch takes, a conversation too long
+  UNSUPPORTED_FORMAT: 415, // unrecognized data, or a format the provider does not take
+  NO_SPEECH: 422,          // the provider heard nothing it could transcribe
+  RATE_LIMITED: 429,       // our token bucket or the provider's own limit
+  PROVIDER_AUTH: 502,      // provider key missing or rejected
+  UPSTREAM_ERROR: 502,     // provider failed or is unreachable
+  PROVIDER_TIMEOUT: 504,   // provider did not answer in time
+  INTERNAL: 500
+};
+
+export function statusFor(code) {
+  return ERROR_STATUS[code] || 500;
+}
+
+// Thrown by a provider when the request cannot be served at all
+// (missing key, upstream HTTP error, timeout). `retryAfter` (seconds) is set
+// when the provider told us when to come back.
+export class ProviderError extends Error {
+  constructor(message, code = 'UPSTREAM_ERROR', { retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.code = code;
+    this.status = statusFor(code);
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Thrown while inspecting an upload (see audio-format.js) when the data is not
+// audio we recognize, contradicts its declared type, or can't be converted.
+export class AudioFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AudioFormatError';
+    this.code = 'UNSUPPORTED_FORMAT';
+    this.status = statusFor(this.code);
+  }
+}
+
+// Upstream HTTP failure -> ProviderError with the matching code
+export function upstreamError(label, status, message, retryAfter = null) {
+  const code =
+    status === 401 || status === 403 ? 'PROVIDER_AUTH' :
+    status === 429 ? 'RATE_LIMITED' :
+    status === 408 || status === 504 ? 'PROVIDER_TIMEOUT' : 'UPSTREAM_ERROR';
+  return new ProviderError(`${label} (HTTP ${status}): ${message}`, code, { retryAfter });
+}
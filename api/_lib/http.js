@@ -0,0 +1,97 @@
+// api/_lib/http.js
+// Response + upstream-call helpers shared by the edge routes and providers.
+import { ProviderError, statusFor } from './errors.js';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 400;
+const MAX_BACKOFF_MS = 4000;
+
+export function corsHeaders() {
+  return {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Expose-Headers': 'Retry-After, X-Cache'
+  };
+}
+
+export function json(obj, status = 200, headers = {}) {
+  return new Response(JSON.stringify(obj), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders(), ...headers }
+  });
+}
+
+// Error body for `code` (see errors.js) with its mapped status; `extra` is merged into the body
+export function jsonError(code, message, extra = {}, headers = {}) {
+  return json({ error: message, code, ...extra }, statusFor(code), headers);
+}
+
+export function errString(body, fallback = 'Unknown error') {
+  if (!body) return fallback;
+  if (typeof body === 'string') return body;
+  const m = body?.error?.message || body?.message || body?.Message || body?.RecognitionStatus;
+  if (typeof m === 'string') return m;
+  try { return JSON.stringify(body); } catch { return fallback; }
+}
+
+// JSON if possible; otherwise return {message: rawText}
+export async function safeBody(r) {
+  const ct = (r.headers.get('content-type') || '').toLowerCase();
+  if (ct.includes('application/json')) return await r.json();
+  const text = await r.text();
+  return { message: text };
+}
+
+// Seconds from a Retry-After header (delta-seconds or HTTP date), else null
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, Math.round((at - Date.now()) / 1000)) : null;
+}
+
+function envInt(name, fallback) {
+  const n = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// One upstream request with a per-attempt timeout (AbortController, body read included) and
+// bounded retries with exponential backoff on 429/5xx and network errors; a timeout is not
+// retried, since another full wait would outlast the route's own limit. A Retry-After from
+// the provider sets the wait when it fits under MAX_BACKOFF_MS; longer ones are returned as-is.
+// `init.body` must be re-sendable (Blob, FormData, string).
+// -> { ok, status, body, retryAfter }; throws ProviderError (PROVIDER_TIMEOUT, UPSTREAM_ERROR)
+export async function fetchUpstream(url, init, { label = 'Upstream', timeoutMs, retries } = {}) {
+  timeoutMs ??= envInt('UPSTREAM_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+  retries ??= envInt('UPSTREAM_RETRIES', DEFAULT_RETRIES);
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let result = null;
+    let failure = null;
+    try {
+      const r = await fetch(url, { ...init, signal: controller.signal });
+      result = { ok: r.ok, status: r.status, body: await safeBody(r), retryAfter: parseRetryAfter(r.headers.get('retry-after')) };
+    } catch (err) {
+      failure = controller.signal.aborted
+        ? new ProviderError(`${label} timed out after ${timeoutMs} ms`, 'PROVIDER_TIMEOUT')
+        : new ProviderError(`${label} unreachable: ${err?.message || err}`, 'UPSTREAM_ERROR');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const retryable = failure ? failure.code !== 'PROVIDER_TIMEOUT' : result.status === 429 || result.status >= 500;
+    const wait = result?.retryAfter != null
+      ? result.retryAfter * 1000
+      : Math.min(MAX_BACKOFF_MS, BACKOFF_BASE_MS * 2 ** attempt) * (0.75 + Math.random() / 2);
+    if (!retryable || attempt >= retries || wait > MAX_BACKOFF_MS) {
+      if (failure) throw failure;
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, wait));
+  }
+}
@@ -0,0 +1,154 @@
+// api/_lib/ja-homophones.js
+// Japanese readings and same-reading kanji from the static shards in public/
+// (see scripts/build-ja-index.mjs): /ja-readings/ maps written forms to kana readings,
+// /ja-index/ maps a kana reading back to every common word written that way.
+
+const MAX_READINGS = 4;       // readings shown per word (橋: はし, きょう)
+const MAX_WORDS = 24;         // same-reading words per reading
+const MAX_CHARS = 8;          // per-kanji breakdown beyond this is just noise
+
+const KANA = /^[\p{Script=Hiragana}\p{Script=Katakana}ー]+$/u;
+const HAN = /\p{Script=Han}/u;
+
+// Japanese candidates only. The top candidate (punctuation stripped) is looked up as:
+// - word:  a known written form (橋, 東京) -> its readings and the words sharing each one
+// - kana:  kana only (はし) -> the words read that way
+// - chars: other kanji text -> readings and same-reading kanji per character
+// Returns { mode, input, readings: [{ kana, romaji, words }], homophones, chars? } or null;
+// `homophones` is every same-reading word (primary reading first) without the input itself.
+// preferred: Map(text -> times confirmed) from the user's corrections; those come first.
+export async function buildJaAugment(baseUrl, candidates, bcp47, { preferred = new Map() } = {}) {
+  try {
+    const primary = (bcp47 || '').split('-')[0].toLowerCase();
+    if (primary !== 'ja') return null;
+
+    const top = [...((candidates && candidates[0]) || '')]
+      .filter(ch => HAN.test(ch) || KANA.test(ch))
+      .join('');
+    if (!top) return null;
+
+    if (KANA.test(top)) {
+      const kana = toHiragana(top);
+      const words = preferFirst(await wordsForReading(baseUrl, kana), preferred).filter(w => w !== top);
+      if (!words.length) return null;
+      return { mode: 'kana', input: top, readings: [{ kana, romaji: kanaToRomaji(kana), words }], homophones: words };
+    }
+
+    const known = await readingsFor(baseUrl, top);
+    if (known.length) {
+      const readings = await withWords(baseUrl, known.slice(0, MAX_READINGS), top, preferred);
+      return { mode: 'word', input: top, readings, homophones: flatten(readings.map(r => r.words)) };
+    }
+
+    const chars = [...top].filter(ch => HAN.test(ch));
+    if (!chars.length || chars.length > MAX_CHARS) return null;
+    const perChar = [];
+    for (const ch of chars) {
+      const readings = await withWords(baseUrl, (await readingsFor(baseUrl, ch)).slice(0, MAX_READINGS), ch, preferred);
+      // single kanji sharing the reading; longer words would drown the row
+      for (const r of readings) r.words = r.words.filter(w => [...w].length === 1);
+      perChar.push({ char: ch, readings, homophones: flatten(readings.map(r => r.words)) });
+    }
+    if (!perChar.some(c => c.readings.length)) return null;
+    return {
+      mode: 'chars',
+      input: top,
+      readings: [],
+      homophones: [],
+      chars: perChar
+    };
+  } catch {
+    return null;
+  }
+}
+
+async function withWords(baseUrl, kanaList, input, preferred) {
+  const out = [];
+  for (const kana of kanaList) {
+    const words = preferFirst(await wordsForReading(baseUrl, kana), preferred).filter(w => w !== input);
+    out.push({ kana, romaji: kanaToRomaji(kana), words: words.slice(0, MAX_WORDS) });
+  }
+  return out;
+}
+
+function flatten(lists) {
+  return [...new Set(lists.flat())];
+}
+
+function preferFirst(list, preferred) {
+  if (!preferred.size) return list;
+  const hits = list.filter(w => preferred.has(w)).sort((a, b) => preferred.get(b) - preferred.get(a));
+  return [...hits, ...list.filter(w => !preferred.has(w))];
+}
+
+function toHiragana(s) {
+  return s.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+}
+
+// ---------- Hepburn romanization ----------
+
+const ROMAJI = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko', が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so', ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to', だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho', ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo', や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro', わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n',
+  ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゔ: 'vu'
+};
+const SMALL_Y = { ゃ: 'a', ゅ: 'u', ょ: 'o' };
+
+// "きょう" -> "kyou", "がっこう" -> "gakkou", "こんや" -> "kon'ya", "らーめん" -> "raamen"
+export function kanaToRomaji(kana) {
+  const chars = [...toHiragana(kana)];
+  let out = '';
+  let geminate = false;
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i];
+    if (ch === 'っ') { geminate = true; continue; }
+    if (ch === 'ー') { out += out.slice(-1); continue; }
+    let syl = ROMAJI[ch];
+    if (syl === undefined) continue;
+    const small = SMALL_Y[chars[i + 1]];
+    if (small && /i$/.test(syl) && syl !== 'i') {
+      // きゃ -> kya, しゃ -> sha, ちゃ -> cha, じゃ -> ja
+      syl = /^(sh|ch|j)i$/.test(syl) ? syl.slice(0, -1) + small : syl.slice(0, -1) + 'y' + small;
+      i++;
+    }
+    if (ch === 'ん' && /^[aiueoy]/.test(ROMAJI[chars[i + 1]] || '')) syl = "n'";
+    if (geminate) {
+      out += syl.startsWith('ch') ? 't' : syl[0];
+      geminate = false;
+    }
+    out += syl;
+  }
+  return out;
+}
+
+// ---------- static data ----------
+
+const READINGS_CACHE = new Map(); // "6a" -> { "橋": ["はし", "きょう"], ... }
+const INDEX_CACHE = new Map();    // "306f" -> { "はし": ["橋", "端", ...], ... }
+
+const hex = (ch, digits) => ch.codePointAt(0).toString(16).padStart(4, '0').slice(0, digits);
+
+async function readingsFor(baseUrl, written) {
+  const shard = await loadShard(READINGS_CACHE, baseUrl, `/ja-readings/${hex(written, 2)}.json`, hex(written, 2));
+  return shard[written] || [];
+}
+
+async function wordsForReading(baseUrl, kana) {
+  const shard = await loadShard(INDEX_CACHE, baseUrl, `/ja-index/${hex(kana, 4)}.json`, hex(kana, 4));
+  return shard[kana] || [];
+}
+
+async function loadShard(cache, baseUrl, path, key) {
+  if (cache.has(key)) return cache.get(key);
+  const r = await fetch(new URL(path, baseUrl).toString());
+  const obj = r.ok ? await r.json() : {};
+  cache.set(key, obj);
+  return obj;
+}
@@ -0,0 +1,178 @@
+// api/_lib/ko-homophones.js
+// Korean romanization plus same-sound spellings: Hangul syllables that are pronounced
+// alike (final-consonant neutralization, merged vowels) and the Hanja read with each
+// syllable, from the static shards in public/ko-index/ (see scripts/build-ko-index.mjs).
+
+const MAX_WORD_SYLLABLES = 6;  // longer text (sentences) only gets its romanization
+const MAX_SPELLINGS = 24;      // same-sound spellings of a whole word
+const MAX_HANJA = 24;          // Hanja per syllable
+
+const HANGUL_BASE = 0xAC00;
+const HANGUL_LAST = 0xD7A3;
+
+// Revised Romanization by jamo index (initial / medial / final)
+const INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+// Final as [coda before a consonant / at the end, coda + onset carried over before a vowel]
+const FINALS = [
+  ['', ['', '']], ['k', ['', 'g']], ['k', ['', 'kk']], ['k', ['k', 's']], ['n', ['', 'n']], ['n', ['n', 'j']],
+  ['n', ['', 'n']], ['t', ['', 'd']], ['l', ['', 'r']], ['k', ['l', 'g']], ['m', ['l', 'm']], ['l', ['l', 'b']],
+  ['l', ['l', 's']], ['l', ['l', 't']], ['p', ['l', 'p']], ['l', ['', 'r']], ['m', ['', 'm']], ['p', ['', 'b']],
+  ['p', ['p', 's']], ['t', ['', 's']], ['t', ['', 'ss']], ['ng', ['ng', '']], ['t', ['', 'j']], ['t', ['', 'ch']],
+  ['k', ['', 'k']], ['t', ['', 't']], ['p', ['', 'p']], ['t', ['', '']]
+];
+
+const IEUNG = 11;  // ㅇ initial: the syllable starts with its vowel
+const RIEUL = 5;   // ㄹ initial
+const NIEUN = 2;   // ㄴ initial
+const FINAL_L = 8; // ㄹ final
+
+// Finals that sound the same at the end of a word or before a consonant (common ones only:
+// 낫/낮/낯/낟, 부억/부엌), and vowels most speakers merge (게/개, 왜/외/웨)
+const FINAL_CLASSES = [[1, 2, 24], [7, 19, 20, 22, 23, 25, 27], [17, 26]];
+const MEDIAL_CLASSES = [[1, 5], [10, 11, 15]];
+// Vowels after which an initial ㄴ/ㄹ is written ㅇ at the start of a word (두음법칙: 리 -> 이)
+const I_VOWELS = new Set([2, 3, 6, 7, 12, 17, 20]);
+
+// Korean candidates only. Returns
+// { input, romanization, syllables: [{ syllable, romanization, sounds, hanja }], homophones } or null:
+// `homophones` are other spellings of a one-word top candidate that sound the same, then (for a single
+// syllable) its Hanja; longer text gets its romanization only.
+// preferred: Map(text -> times confirmed) from the user's corrections; those come first.
+export async function buildKoAugment(baseUrl, candidates, bcp47, { preferred = new Map() } = {}) {
+  try {
+    const primary = (bcp47 || '').split('-')[0].toLowerCase();
+    if (primary !== 'ko') return null;
+
+    const top = ((candidates && candidates[0]) || '')
+      .replace(/[^\s가-힣]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!top) return null;
+
+    const romanization = romanize(top);
+    const syllables = [...top];
+    if (/\s/.test(top) || syllables.length > MAX_WORD_SYLLABLES) {
+      return { input: top, romanization, syllables: [], homophones: [] };
+    }
+
+    const parts = [];
+    for (let i = 0; i < syllables.length; i++) {
+      const syllable = syllables[i];
+      const sounds = soundAlikes(syllables, i);
+      const hanja = await hanjaFor(baseUrl, syllable, i === 0);
+      parts.push({ syllable, romanization: romanize(syllable), sounds: sounds.filter(s => s !== syllable), hanja });
+    }
+
+    const spellings = cartesian(syllables.map((s, i) => soundAlikes(syllables, i)), MAX_SPELLINGS + 1)
+      .filter(w => w !== top);
+    const homophones = preferFirst(
+      [...spellings.slice(0, MAX_SPELLINGS), ...(syllables.length === 1 ? parts[0].hanja : [])],
+      preferred
+    );
+    return { input: top, romanization, syllables: parts, homophones };
+  } catch {
+    return null;
+  }
+}
+
+function decompose(syllable) {
+  const code = syllable.codePointAt(0);
+  if (code < HANGUL_BASE || code > HANGUL_LAST) return null;
+  const idx = code - HANGUL_BASE;
+  return { l: Math.floor(idx / 588), v: Math.floor((idx % 588) / 28), t: idx % 28 };
+}
+
+function compose({ l, v, t }) {
+  return String.fromCodePoint(HANGUL_BASE + l * 588 + v * 28 + t);
+}
+
+// Simplified Revised Romanization: finals carry over to a following vowel (음악 -> eumak)
+// and ㄹㄹ is "ll"; other sound changes (nasalization, tensing) are not applied.
+// "한국어" -> "hangugeo", "서울" -> "seoul", "빨리" -> "ppalli"
+export function romanize(text) {
+  const chars = [...text];
+  let out = '';
+  for (let i = 0; i < chars.length; i++) {
+    const cur = decompose(chars[i]);
+    if (!cur) { out += chars[i]; continue; }
+    const prev = decompose(chars[i - 1] || '');
+    let onset = INITIALS[cur.l];
+    if (prev && prev.t) {
+      if (cur.l === IEUNG) onset = FINALS[prev.t][1][1];
+      else if (cur.l === RIEUL && prev.t === FINAL_L) onset = 'l';
+    }
+    const next = decompose(chars[i + 1] || '');
+    const coda = next && next.l === IEUNG ? FINALS[cur.t][1][0] : FINALS[cur.t][0];
+    out += onset + MEDIALS[cur.v] + coda;
+  }
+  return out;
+}
+
+// Spellings of syllables[i] pronounced the same in its position (itself first)
+function soundAlikes(syllables, i) {
+  const cur = decompose(syllables[i]);
+  if (!cur) return [syllables[i]];
+  const next = decompose(syllables[i + 1] || '');
+  const finals = !next || next.l !== IEUNG ? classOf(FINAL_CLASSES, cur.t) : [cur.t];
+  const medials = classOf(MEDIAL_CLASSES, cur.v);
+  const out = [syllables[i]];
+  for (const v of medials) {
+    for (const t of finals) out.push(compose({ l: cur.l, v, t }));
+  }
+  return [...new Set(out)];
+}
+
+function classOf(classes, x) {
+  return classes.find(c => c.includes(x)) || [x];
+}
+
+function cartesian(lists, limit) {
+  let acc = [''];
+  for (const list of lists) {
+    const next = [];
+    for (const prefix of acc) {
+      for (const s of list) {
+        if (next.length >= limit) break;
+        next.push(prefix + s);
+      }
+    }
+    acc = next;
+  }
+  return acc;
+}
+
+function preferFirst(list, preferred) {
+  if (!preferred.size) return list;
+  const hits = list.filter(w => preferred.has(w)).sort((a, b) => preferred.get(b) - preferred.get(a));
+  return [...hits, ...list.filter(w => !preferred.has(w))];
+}
+
+// Hanja read as `syllable`; at the start of a word also those whose reading starts with
+// ㄹ/ㄴ but is written ㅇ/ㄴ there (李 리 -> 이, 老 로 -> 노)
+async function hanjaFor(baseUrl, syllable, wordInitial) {
+  const s = decompose(syllable);
+  const readings = [syllable];
+  if (wordInitial && s.l === IEUNG && I_VOWELS.has(s.v)) {
+    readings.push(compose({ ...s, l: RIEUL }), compose({ ...s, l: NIEUN }));
+  } else if (wordInitial && s.l === NIEUN && !I_VOWELS.has(s.v)) {
+    readings.push(compose({ ...s, l: RIEUL }));
+  }
+  const out = [];
+  for (const r of readings) out.push(...await lookupHanja(baseUrl, r));
+  return [...new Set(out)].slice(0, MAX_HANJA);
+}
+
+// ---------- static data ----------
+
+const SHARD_CACHE = new Map(); // "c0ac" -> { "수": ["手", "水", ...], ... }
+
+async function lookupHanja(baseUrl, syllable) {
+  const code = syllable.codePointAt(0);
+  const key = (HANGUL_BASE + Math.floor((code - HANGUL_BASE) / 588) * 588).toString(16);
+  if (!SHARD_CACHE.has(key)) {
+    const r = await fetch(new URL(`/ko-index/${key}.json`, baseUrl).toString());
+    SHARD_CACHE.set(key, r.ok ? await r.json() : {});
+  }
+  return SHARD_CACHE.get(key)[syllable] || [];
+}
@@ -0,0 +1,113 @@
+// api/_lib/language-id.js
+// language=auto: pick the spoken language from a list of allowed candidates (`languages` field).
+// Providers with language identification (provider.identifyLanguage) answer directly; otherwise
+// the clip is transcribed under every candidate and the results are scored by how well their
+// script fits the language (Han for zh, kana for ja, Hangul for ko, Latin otherwise) and by the
+// provider's confidence. The winner's result is reused, so no extra call is made for it.
+import { ProviderError } from './errors.js';
+import { mapLimit } from './concurrency.js';
+
+export const AUTO = 'auto';
+export const DEFAULT_LANGUAGES = ['en-US', 'zh-CN', 'ja-JP', 'ko-KR', 'es-ES'];
+export const MAX_LANGUAGES = 6;
+const SCORING_CONCURRENCY = 3;
+const UNKNOWN_CONFIDENCE = 0.5;  // providers without confidence (OpenAI, fixtures without it)
+const KANJI_ONLY_FIT = 0.6;      // Japanese almost always has kana; all-Han text is more likely Chinese
+
+const TAG_RE = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// "en-US, zh-CN" / JSON array / empty (defaults) -> deduped list of BCP-47 tags
+export function parseLanguages(raw) {
+  const t = (raw || '').toString().trim();
+  if (!t) return DEFAULT_LANGUAGES;
+  let list;
+  if (t.startsWith('[')) {
+    try {
+      list = JSON.parse(t);
+    } catch {
+      throw new Error('languages: invalid JSON array');
+    }
+    if (!Array.isArray(list)) throw new Error('languages: expected a JSON array');
+  } else {
+    list = t.split(/[\s,;]+/);
+  }
+  const out = [];
+  for (const l of list.map(s => String(s ?? '').trim()).filter(Boolean)) {
+    if (!TAG_RE.test(l) || l.toLowerCase() === AUTO) throw new Error(`languages: "${l}" is not a language tag`);
+    if (!out.some(o => o.toLowerCase() === l.toLowerCase())) out.push(l);
+  }
+  if (!out.length) return DEFAULT_LANGUAGES;
+  if (out.length > MAX_LANGUAGES) throw new Error(`Too many languages (${out.length}); max ${MAX_LANGUAGES}`);
+  return out;
+}
+
+// Share of the letters in `text` written in `language`'s script (0.5 when there are none, e.g. "2")
+export function scriptFit(text, language) {
+  const letters = [...(text || '')].filter(ch => /\p{L}/u.test(ch));
+  if (!letters.length) return 0.5;
+  const count = re => letters.filter(ch => re.test(ch)).length;
+  switch ((language || '').split('-')[0].toLowerCase()) {
+    case 'zh':
+      return count(/\p{Script=Han}/u) / letters.length;
+    case 'ja': {
+      const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/u);
+      const fit = (kana + count(/\p{Script=Han}/u)) / letters.length;
+      return kana || letters.length === 1 ? fit : fit * KANJI_ONLY_FIT;
+    }
+    case 'ko':
+      return count(/\p{Script=Hangul}/u) / letters.length;
+    default:
+      return count(/\p{Script=Latin}/u) / letters.length;
+  }
+}
+
+// provider.transcribe result under `language` -> score in [0, 1]
+function scoreResult(result, language) {
+  if (!result?.candidates?.length) return 0;
+  const confidence = result.details?.[0]?.confidence;
+  return scriptFit(result.candidates[0], language) * (0.5 + 0.5 * (Number.isFinite(confidence) ? confidence : UNKNOWN_CONFIDENCE));
+}
+
+// -> { language, confidence, method: 'provider' | 'scoring', scores: [{ language, score }], result?, providerError? }
+//    language is null when nothing was recognized under any candidate; `result` (scoring only) is
+//    the provider's transcription under the detected language. Throws ProviderError when every
+//    candidate failed.
+export async function identifyLanguage(provider, blob, languages, ctx) {
+  let providerError = null;
+  if (typeof provider.identifyLanguage === 'function') {
+    try {
+      const id = await provider.identifyLanguage(blob, languages, ctx);
+      if (id?.language) return { ...id, method: 'provider' };
+    } catch (err) {
+      if (!(err instanceof ProviderError)) throw err;
+      // a bad key or rate limit would fail every candidate just the same
+      if (!['UPSTREAM_ERROR', 'PROVIDER_TIMEOUT'].includes(err.code)) throw err;
+      providerError = err.message;
+    }
+  }
+
+  const results = await mapLimit(languages, SCORING_CONCURRENCY, async language => {
+    try {
+      return await provider.transcribe(blob, language, ctx);
+    } catch (err) {
+      if (err instanceof ProviderError) return { candidates: [], failed: err };
+      throw err;
+    }
+  });
+  const failed = results.filter(r => r.failed);
+  if (failed.length === results.length) throw failed[0].failed;
+
+  const raw = results.map((r, i) => scoreResult(r, languages[i]));
+  const total = raw.reduce((a, b) => a + b, 0);
+  const best = raw.indexOf(Math.max(...raw));
+  const scores = languages.map((language, i) => ({ language, score: round(total ? raw[i] / total : 0) }));
+  const out = total
+    ? { language: languages[best], confidence: scores[best].score, method: 'scoring', scores, result: results[best] }
+    : { language: null, confidence: 0, method: 'scoring', scores };
+  if (providerError) out.providerError = providerError;
+  return out;
+}
+
+function round(x) {
+  return Math.round(x * 1000) / 1000;
+}
@@ -0,0 +1,101 @@
+// api/_lib/phrases.js
+// Phrase hints (`phrases` field): domain words the caller expects to hear. Providers get
+// them in their own way (OpenAI prompt, Azure phrase list); afterwards the N-best list and
+// homophone sets are re-ordered so matching entries come first.
+import { errorMetric, tokensFor } from './scoring.js';
+
+export const MAX_PHRASES = 500;
+export const MAX_PHRASE_CHARS = 100;
+
+// JSON array, or one phrase per line / comma-separated -> deduped list
+export function parsePhrases(raw) {
+  const t = (raw || '').toString().trim();
+  if (!t) return [];
+  let list;
+  if (t.startsWith('[')) {
+    try {
+      list = JSON.parse(t);
+    } catch {
+      throw new Error('phrases: invalid JSON array');
+    }
+    if (!Array.isArray(list)) throw new Error('phrases: expected a JSON array');
+  } else {
+    list = t.split(/[\n\r,，、;；]+/);
+  }
+  const seen = new Set();
+  const out = [];
+  for (const p of list) {
+    const s = String(p ?? '').trim().replace(/\s+/g, ' ');
+    if (!s || s.length > MAX_PHRASE_CHARS || seen.has(s.toLowerCase())) continue;
+    seen.add(s.toLowerCase());
+    out.push(s);
+  }
+  if (out.length > MAX_PHRASES) throw new Error(`Too many phrases (${out.length}); max ${MAX_PHRASES}`);
+  return out;
+}
+
+// Phrases that fit in `maxChars` of a free-text prompt, in list order
+export function phrasePrompt(phrases, maxChars = 800) {
+  const kept = [];
+  let len = 0;
+  for (const p of phrases) {
+    if (len + p.length + 2 > maxChars) break;
+    kept.push(p);
+    len += p.length + 2;
+  }
+  return kept.join(', ');
+}
+
+function containsRun(hay, needle) {
+  if (!needle.length || needle.length > hay.length) return false;
+  for (let i = 0; i + needle.length <= hay.length; i++) {
+    if (needle.every((t, j) => hay[i + j] === t)) return true;
+  }
+  return false;
+}
+
+// Phrases found in `text`: whole-word runs for WER languages, character runs for zh/ja/ko
+export function matchPhrases(text, phrases, language) {
+  const metric = errorMetric(language);
+  const hay = tokensFor(text, metric);
+  return phrases.filter(p => containsRun(hay, tokensFor(p, metric)));
+}
+
+// Stable re-order: candidates containing more phrases first. `details` and ensemble
+// `ranked` are aligned with candidates and move with them.
+// -> { candidates, details, ranked, matched: [phrases found in any candidate] }
+export function boostCandidates({ candidates, details, ranked }, phrases, language) {
+  const hits = candidates.map(c => matchPhrases(c, phrases, language));
+  const order = candidates.map((_, i) => i).sort((a, b) => hits[b].length - hits[a].length || a - b);
+  const pick = arr => (Array.isArray(arr) && arr.length === candidates.length ? order.map(i => arr[i]) : arr);
+  return {
+    candidates: pick(candidates),
+    details: pick(details),
+    ranked: pick(ranked),
+    matched: [...new Set(hits.flat())]
+  };
+}
+
+// Homophones equal to a phrase move to the front of each augmenter's list (in place),
+// in phrase-list order. -> the matching homophones, same order
+export function boostHomophones(body, phrases) {
+  const key = s => tokensFor(s, 'cer').join('');
+  const wanted = new Map(phrases.map((p, i) => [key(p), i]).reverse());
+  const isHit = h => wanted.has(key(h));
+  const byPhrase = (a, b) => wanted.get(key(a)) - wanted.get(key(b));
+  const found = [];
+  const lift = (obj, field) => {
+    const list = obj?.[field];
+    if (!Array.isArray(list)) return;
+    const hits = list.filter(isHit).sort(byPhrase);
+    if (!hits.length) return;
+    obj[field] = [...hits, ...list.filter(h => !isHit(h))];
+    found.push(...hits);
+  };
+  lift(body.zhAugment, 'homophones');
+  lift(body.zhNumbers, 'alternates');
+  lift(body.enHomophones, 'homophones');
+  lift(body.jaAugment, 'homophones');
+  lift(body.koAugment, 'homophones');
+  return [...new Set(found)].sort(byPhrase);
+}
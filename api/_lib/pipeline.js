@@ -0,0 +1,148 @@
+// api/_lib/pipeline.js
+// One clip through the transcribe pipeline: size guard, format sniffing/conversion,
+// language identification (language=auto), provider dispatch, then zh/en/ja/ko augmentation. Shared by /api/transcribe and
+// /api/transcribe-batch; returns the status + JSON body /api/transcribe answers with.
+import { ProviderError, AudioFormatError, statusFor } from './errors.js';
+import { inspectAudio } from './audio-format.js';
+import { acceptsMime } from '../_providers/index.js';
+import { buildZhHomophones, buildZhNumbers } from './zh-homophones.js';
+import { buildEnHomophones } from './en-homophones.js';
+import { buildJaAugment } from './ja-homophones.js';
+import { buildKoAugment } from './ko-homophones.js';
+import { evaluateExpected } from './scoring.js';
+import { boostCandidates, boostHomophones } from './phrases.js';
+import { preferredChoices, correctedCandidates } from './corrections.js';
+import { AUTO, DEFAULT_LANGUAGES, identifyLanguage } from './language-id.js';
+
+// Most provider calls one transcribeClip can make, for callers to charge against the rate limit:
+// one per ensemble member (that takes `mime`), times every candidate language for language=auto,
+// plus the provider's own language ID call.
+export function providerCalls(provider, { language, languages = DEFAULT_LANGUAGES, members, mime } = {}) {
+  const perTranscription = provider.memberCount ? provider.memberCount(members, mime) : 1;
+  if (language !== AUTO) return perTranscription;
+  return perTranscription * languages.length + (provider.identifyLanguage ? 1 : 0);
+}
+
+// opts: { provider, language, languages, baseUrl, toneMode, detail, fixture, members, debug, expected, phrases, corrections }
+// -> { status, body }; failures carry body.error + body.code (see errors.js), status from the code;
+//    with language 'auto', the spoken language is picked from `languages` (see _lib/language-id.js),
+//    every later step runs under it and body.languageId reports it;
+//    with `expected`, body.evaluation scores the candidates against it;
+//    with `phrases` (parsed, see _lib/phrases.js), body.phraseBoost says what was boosted;
+//    with `corrections` (_lib/corrections.js), body.corrected flags candidates corrected before
+export async function transcribeClip(file, opts) {
+  const {
+    provider, baseUrl, toneMode = 'toneless', detail = false, fixture, members, debug, expected,
+    languages = DEFAULT_LANGUAGES, phrases = [], corrections = []
+  } = opts;
+  let { language } = opts;
+
+  // Guard: tiny/empty uploads
+  const size = Number(file.size || 0);
+  const type = (file.type || '(none)').toString();
+  if (size < 2000) {
+    return failure('AUDIO_TOO_SHORT', `Audio too small (${size} bytes). type=${type}`);
+  }
+
+  // Sniff the real format (file.type is only the client's claim); PCM WAV becomes mono 16 kHz 16-bit
+  let inspected;
+  try {
+    inspected = await inspectAudio(file, { keepRate: !!provider.anySampleRate });
+  } catch (err) {
+    if (err instanceof AudioFormatError) return failure(err.code, err.message);
+    throw err;
+  }
+  const { blob, audio } = inspected;
+  if (!acceptsMime(provider, audio.mime)) {
+    return failure('UNSUPPORTED_FORMAT', `${provider.name} does not accept ${audio.mime}${audio.codec ? ` (${audio.codec})` : ''}`, { audio });
+  }
+
+  const ctx = { baseUrl, fixture, members, detail, debug, audio, phrases };
+  let result, languageId = null;
+  try {
+    if (language === AUTO) {
+      const { result: scored, language: detected, confidence, method, ...id } = await identifyLanguage(provider, blob, languages, ctx);
+      languageId = { language: detected, confidence, method, candidates: languages, ...id };
+      if (!detected) {
+        return failure('NO_SPEECH', `No speech recognized in any of ${languages.join(', ')}`, { provider: provider.name, audio, languageId });
+      }
+      language = detected;
+      result = scored;
+    }
+    result = result || await provider.transcribe(blob, language, ctx);
+  } catch (err) {
+    if (err instanceof ProviderError) {
+      return failure(err.code, err.message, err.retryAfter != null ? { retryAfter: err.retryAfter } : {});
+    }
+    throw err;
+  }
+
+  let { candidates, details, error, meta = {} } = result;
+  if (candidates.length === 0) {
+    const body = { provider: provider.name, ...meta, audio, error: error || 'No speech recognized', code: 'NO_SPEECH', candidates: [] };
+    if (languageId) body.languageId = languageId;
+    if (expected) body.evaluation = await evaluateExpected(body, expected, language, baseUrl);
+    return { status: statusFor('NO_SPEECH'), body };
+  }
+
+  let boost = null;
+  if (phrases.length) {
+    boost = boostCandidates({ candidates, details, ranked: meta.ranked }, phrases, language);
+    ({ candidates, details } = boost);
+    if (meta.ranked) meta = { ...meta, ranked: boost.ranked };
+  }
+
+  // zh homophones + tone, zh numeral alternates and en homophones (both via Node helper),
+  // ja readings + same-reading kanji, ko romanization + same-sound Hangul/Hanja
+  const preferred = preferredChoices(corrections);
+  const zh = await buildZhHomophones(baseUrl, candidates, language, { toneMode, preferred });
+  const zhNumbers = await buildZhNumbers(baseUrl, candidates, language);
+  const en = await buildEnHomophones(candidates, baseUrl, language);
+  const ja = await buildJaAugment(baseUrl, candidates, language, { preferred });
+  const ko = await buildKoAugment(baseUrl, candidates, language, { preferred });
+  const body = {
+    provider: provider.name,
+    ...meta,
+    audio,
+    candidates,
+    zhAugment: zh,
+    zhNumbers,
+    enHomophones: en,
+    jaAugment: ja,
+    koAugment: ko
+  };
+  if (languageId) body.languageId = languageId;
+
+  if (boost) {
+    // a phrase heard only as a homophone of the top result becomes the first candidate
+    const homophones = boostHomophones(body, phrases);
+    const promoted = !boost.matched.length && homophones.length ? homophones[0] : null;
+    if (promoted) {
+      body.candidates = [promoted, ...candidates];
+      details = [{ source: 'phrases' }, ...(details || candidates.map(() => null))];
+      if (body.ranked) body.ranked = [null, ...body.ranked];
+    }
+    body.phraseBoost = { phrases: phrases.length, matched: boost.matched, homophones, promoted };
+  }
+  if (corrections.length) body.corrected = correctedCandidates(body.candidates, corrections);
+  if (detail) body.candidates = toDetailed(body.candidates, details);
+  if (expected) body.evaluation = await evaluateExpected(body, expected, language, baseUrl);
+  return { status: 200, body };
+}
+
+function failure(code, message, extra = {}) {
+  return { status: statusFor(code), body: { error: message, code, ...extra, candidates: [] } };
+}
+
+// Rich candidate shape for detail=1; providers without N-best detail get nulls
+function toDetailed(candidates, details) {
+  return candidates.map((text, i) => ({
+    text,
+    lexical: null,
+    itn: null,
+    display: null,
+    confidence: null,
+    words: [],
+    ...(details?.[i] || {})
+  }));
+}
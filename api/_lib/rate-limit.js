@@ -0,0 +1,67 @@
+// api/_lib/rate-limit.js
+// Per-client token buckets for paid provider calls: each client may burst up to
+// RATE_LIMIT_BURST requests, refilled at RATE_LIMIT_PER_MINUTE. Continuous mode re-posts the
+// open segment for partials and pays by audio length, so its calls come out of a separate,
+// larger `stream` bucket (STREAM_RATE_LIMIT_PER_MINUTE / STREAM_RATE_LIMIT_BURST). Batch runs get their own `batch`
+// bucket too (BATCH_RATE_LIMIT_PER_MINUTE / BATCH_RATE_LIMIT_BURST), sized for a page of an
+// evaluation run, so a run neither starves nor is starved by interactive use. Buckets live in
+// memory, so the limit is per instance.
+
+const KINDS = {
+  transcribe: { perMinuteVar: 'RATE_LIMIT_PER_MINUTE', burstVar: 'RATE_LIMIT_BURST', perMinute: 30, burst: 10 },
+  stream: { perMinuteVar: 'STREAM_RATE_LIMIT_PER_MINUTE', burstVar: 'STREAM_RATE_LIMIT_BURST', perMinute: 90, burst: 20 },
+  batch: { perMinuteVar: 'BATCH_RATE_LIMIT_PER_MINUTE', burstVar: 'BATCH_RATE_LIMIT_BURST', perMinute: 100, burst: 100 }
+};
+const MAX_BUCKETS = 5000;
+
+const BUCKETS = new Map(); // "kind:client" -> { tokens, updated }
+
+function limits(kind) {
+  const k = KINDS[kind];
+  const perMinute = Number(process.env[k.perMinuteVar] ?? k.perMinute);
+  const burst = Number(process.env[k.burstVar] ?? k.burst);
+  return {
+    perMs: (Number.isFinite(perMinute) ? perMinute : k.perMinute) / 60000,
+    burst: Number.isFinite(burst) && burst >= 1 ? burst : k.burst
+  };
+}
+
+// First address in X-Forwarded-For (set by the platform), else X-Real-IP
+export function clientId(request) {
+  const fwd = (request.headers.get('x-forwarded-for') || '').split(',')[0].trim();
+  return fwd || (request.headers.get('x-real-ip') || '').trim() || 'anonymous';
+}
+
+// Takes `cost` tokens (one per provider call) from `client`'s bucket of `kind`
+// (transcribe | stream | batch). A cost past the burst passes on a full bucket and leaves it
+// in debt for the rest, so any request can eventually pass and still pays for every call.
+// A per-minute rate of 0 turns limiting off.
+// -> { ok, remaining, retryAfter } (retryAfter: whole seconds until enough tokens are back)
+export function takeToken(client, { cost = 1, kind = 'transcribe', now = Date.now() } = {}) {
+  const { count, remaining, retryAfter } = takeUpTo(client, { each: cost, max: 1, kind, now });
+  return { ok: count === 1, remaining, retryAfter: count === 1 ? 0 : retryAfter };
+}
+
+// Takes `each` tokens up to `max` times, as many times as the bucket allows right now (once
+// on a full bucket when `each` is past the burst, as in takeToken): for batch pages, which run
+// as many clips as the client can afford.
+// -> { count, remaining, retryAfter } (retryAfter: whole seconds until `each` tokens are back)
+export function takeUpTo(client, { each = 1, max, kind = 'transcribe', now = Date.now() }) {
+  const { perMs, burst } = limits(kind);
+  if (perMs <= 0) return { count: max, remaining: Infinity, retryAfter: 0 };
+  const unit = Math.max(1, each);
+  const need = Math.min(unit, burst);
+
+  const id = `${kind}:${client}`;
+  const b = BUCKETS.get(id) || { tokens: burst, updated: now };
+  b.tokens = Math.min(burst, b.tokens + (now - b.updated) * perMs);
+  b.updated = now;
+  BUCKETS.delete(id);
+  BUCKETS.set(id, b); // most recently seen last
+  if (BUCKETS.size > MAX_BUCKETS) BUCKETS.delete(BUCKETS.keys().next().value);
+
+  const count = Math.min(max, b.tokens >= unit ? Math.floor(b.tokens / unit) : b.tokens >= need ? 1 : 0);
+  b.tokens -= count * unit;
+  const retryAfter = b.tokens < need ? Math.max(1, Math.ceil((need - b.tokens) / perMs / 1000)) : 0;
+  return { count, remaining: Math.max(0, Math.floor(b.tokens)), retryAfter };
+}
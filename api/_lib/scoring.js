@@ -0,0 +1,192 @@
+// api/_lib/scoring.js
+// Compares transcribe results against an expected transcript: batch evaluation
+// runs and the `expected` field of /api/transcribe (WER/CER, token diff, pinyin check).
+import { lookupHanziReadings } from './zh-homophones.js';
+
+// Languages scored per character (no spaces between words)
+const CER_LANGUAGES = new Set(['zh', 'ja', 'ko']);
+
+// Case, width, punctuation and spacing don't count as misrecognitions
+export function normalizeForMatch(s) {
+  return (s || '').normalize('NFKC').toLowerCase().replace(/[\p{P}\p{S}\s]+/gu, '');
+}
+
+// Everything the homophone augmenters offered for the top candidate
+export function homophoneSet(body) {
+  return [
+    ...(body?.zhAugment?.homophones || []),
+    ...(body?.zhNumbers?.alternates || []),
+    ...(body?.enHomophones?.homophones || []),
+    ...(body?.jaAugment?.homophones || []),
+    ...(body?.jaAugment?.chars || []).flatMap(c => c.homophones || []),
+    ...(body?.koAugment?.homophones || [])
+  ];
+}
+
+// One transcribe body vs. its expected text.
+// -> { top1, hitRank (1-based, null if absent), top1Correct, topNHit, homophoneHit }
+//    or nulls for the booleans when there is nothing to compare against.
+export function scoreResult(body, expected) {
+  const texts = (body?.candidates || []).map(c => (typeof c === 'string' ? c : c?.text || ''));
+  const top1 = texts[0] ?? null;
+  const want = normalizeForMatch(expected);
+  if (!want) return { top1, hitRank: null, top1Correct: null, topNHit: null, homophoneHit: null };
+
+  const idx = texts.findIndex(t => normalizeForMatch(t) === want);
+  return {
+    top1,
+    hitRank: idx >= 0 ? idx + 1 : null,
+    top1Correct: idx === 0,
+    topNHit: idx >= 0,
+    homophoneHit: homophoneSet(body).some(h => normalizeForMatch(h) === want)
+  };
+}
+
+export function errorMetric(language) {
+  return CER_LANGUAGES.has((language || '').split('-')[0].toLowerCase()) ? 'cer' : 'wer';
+}
+
+// Words (WER) or characters (CER), normalized like normalizeForMatch
+export function tokensFor(text, metric) {
+  const t = (text || '').normalize('NFKC').toLowerCase();
+  if (metric === 'cer') return [...t.replace(/[\p{P}\p{S}\s]+/gu, '')];
+  return t.split(/\s+/).map(w => w.replace(/[\p{P}\p{S}]+/gu, '')).filter(Boolean);
+}
+
+// Levenshtein alignment of expected (ref) vs heard (hyp) tokens.
+// diff ops: { op: 'equal' | 'sub' | 'del' (expected, not heard) | 'ins' (heard, not expected), expected, heard }
+export function alignTokens(ref, hyp) {
+  const n = ref.length, m = hyp.length;
+  const d = Array.from({ length: n + 1 }, (_, i) => [i, ...new Array(m).fill(0)]);
+  for (let j = 1; j <= m; j++) d[0][j] = j;
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      d[i][j] = Math.min(
+        d[i - 1][j - 1] + (ref[i - 1] === hyp[j - 1] ? 0 : 1),
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1
+      );
+    }
+  }
+
+  const diff = [];
+  let i = n, j = m;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (ref[i - 1] === hyp[j - 1] ? 0 : 1)) {
+      diff.push({ op: ref[i - 1] === hyp[j - 1] ? 'equal' : 'sub', expected: ref[i - 1], heard: hyp[j - 1] });
+      i--; j--;
+    } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+      diff.push({ op: 'del', expected: ref[i - 1], heard: null });
+      i--;
+    } else {
+      diff.push({ op: 'ins', expected: null, heard: hyp[j - 1] });
+      j--;
+    }
+  }
+  diff.reverse();
+
+  const count = op => diff.filter(x => x.op === op).length;
+  const substitutions = count('sub'), deletions = count('del'), insertions = count('ins');
+  return {
+    errorRate: n ? Math.round((substitutions + deletions + insertions) / n * 10000) / 10000 : (m ? 1 : 0),
+    substitutions,
+    deletions,
+    insertions,
+    diff
+  };
+}
+
+// Per-character pinyin verdicts for an aligned zh diff:
+//   match     – same character
+//   homophone – different character, same syllable and tone
+//   tone      – right syllable, wrong tone
+//   syllable  – wrong syllable
+//   missing / extra – deleted / inserted character
+//   unknown   – no pinyin for one of the characters
+async function pinyinVerdicts(baseUrl, diff) {
+  const readings = async ch => (ch && /\p{Script=Han}/u.test(ch) ? await lookupHanziReadings(baseUrl, ch) : []);
+  const out = [];
+  for (const { op, expected, heard } of diff) {
+    const want = await readings(expected), got = await readings(heard);
+    let verdict;
+    if (op === 'equal') verdict = 'match';
+    else if (op === 'del') verdict = 'missing';
+    else if (op === 'ins') verdict = 'extra';
+    else if (!want.length || !got.length) verdict = 'unknown';
+    else if (want.some(w => got.some(g => g.sound === w.sound && g.tone === w.tone))) verdict = 'homophone';
+    else if (want.some(w => got.some(g => g.sound === w.sound))) verdict = 'tone';
+    else verdict = 'syllable';
+    out.push({
+      expected,
+      heard,
+      expectedPinyin: want.map(r => r.pretty),
+      heardPinyin: got.map(r => r.pretty),
+      verdict
+    });
+  }
+  const count = v => out.filter(x => x.verdict === v).length;
+  return { syllables: out, toneErrors: count('tone'), syllableErrors: count('syllable'), homophones: count('homophone') };
+}
+
+// `expected` field of /api/transcribe: every candidate aligned with the target.
+// -> { expected, metric, candidates: [{ text, errorRate, substitutions, deletions, insertions, diff }],
+//      best, inNBest, hitRank, inHomophones, pinyin } (pinyin: candidates[best] vs target, zh only;
+//      pinyin.candidate says which)
+export async function evaluateExpected(body, expected, language, baseUrl) {
+  const metric = errorMetric(language);
+  const ref = tokensFor(expected, metric);
+  const texts = (body?.candidates || []).map(c => (typeof c === 'string' ? c : c?.text || ''));
+  const candidates = texts.map(text => ({ text, ...alignTokens(ref, tokensFor(text, metric)) }));
+
+  let best = candidates.length ? 0 : null;
+  candidates.forEach((c, i) => { if (c.errorRate < candidates[best].errorRate) best = i; });
+
+  const { hitRank, topNHit, homophoneHit } = scoreResult(body, expected);
+  const isZh = (language || '').toLowerCase().startsWith('zh');
+  return {
+    expected,
+    metric,
+    candidates,
+    best,
+    inNBest: !!topNHit,
+    hitRank,
+    inHomophones: !!homophoneHit,
+    pinyin: isZh && candidates.length ? { candidate: best, ...await pinyinVerdicts(baseUrl, candidates[best].diff) } : null
+  };
+}
+
+function rate(items, key) {
+  return items.length ? Math.round(items.filter(it => it[key]).length / items.length * 10000) / 10000 : null;
+}
+
+// Aggregates over items with an expected transcript. Clips the provider heard nothing in
+// count as misses; items that failed for other reasons (bad request, provider down, rate
+// limit, ...) say nothing about recognition and are only counted in `failed`.
+export function aggregate(items) {
+  const scored = items.filter(it => it.top1Correct !== null && !it.failed);
+  const hitRanks = scored.map(it => it.hitRank).filter(r => r !== null);
+  const errorRates = scored.map(it => it.errorRate).filter(r => typeof r === 'number');
+  return {
+    items: items.length,
+    scored: scored.length,
+    failed: items.filter(it => it.failed).length,
+    noSpeech: items.filter(it => it.code === 'NO_SPEECH').length,
+    top1Accuracy: rate(scored, 'top1Correct'),
+    topNHitRate: rate(scored, 'topNHit'),
+    homophoneHitRate: rate(scored, 'homophoneHit'),
+    // found either among the candidates or in the homophone set
+    coveredRate: scored.length ? rate(scored.map(it => ({ covered: it.topNHit || it.homophoneHit })), 'covered') : null,
+    meanHitRank: hitRanks.length ? Math.round(hitRanks.reduce((a, b) => a + b, 0) / hitRanks.length * 100) / 100 : null,
+    // top-1 WER/CER (see errorMetric); 1 for clips with no speech recognized
+    meanErrorRate: errorRates.length ? Math.round(errorRates.reduce((a, b) => a + b, 0) / errorRates.length * 10000) / 10000 : null
+  };
+}
+
+function csvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  return rows.map(r => r.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
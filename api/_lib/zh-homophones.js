@@ -0,0 +1,386 @@
+// api/_lib/zh-homophones.js
+// Server-side Chinese homophone lookup backed by the static shards in public/,
+// plus numeric alternates for Chinese numerals.
+
+const MAX_PHRASE_CHARS = 8;   // per-character sets beyond this are just noise
+const MAX_WORD_CHARS = 4;     // longest entries in /pinyin-words/ (see scripts/build-pinyin-words.mjs)
+const MAX_READING_COMBOS = 32;
+const NORMALIZE_TIMEOUT_MS = 3000; // numeral alternates are optional; don't hold up the response
+
+// Tone modes for homophone lists:
+// - toneless: every character of the base syllable, most common first
+// - exact:    only characters that share one of the input's tones
+// - ranked:   same tone first, then near tones, then the rest
+// Within each mode characters are ordered by /hanzi-frequency.json (Jun Da ranks; zh-TW/HK use
+// the Traditional ranks, so 號 ties with 号 and wins), and characters the user confirmed
+// before (`preferred`, see _lib/corrections.js) come first.
+export const TONE_MODES = ['toneless', 'exact', 'ranked'];
+
+// Tones learners (and recognizers) most often mix up: rising vs dipping, high level vs falling
+const NEAR_TONES = { 1: [4], 2: [3], 3: [2], 4: [1], 5: [] };
+const MATCH_ORDER = { same: 0, near: 1, other: 2 };
+
+// If language starts with zh and the top candidate is either:
+// - exactly one Han character -> look up its pinyin (ignoring tone) and return all homophones from /pinyin-index/<base>.json
+// - a single pinyin syllable (e.g., "hǎo"/"hao3"/"hao") -> return all chars for that base
+// - a word/short phrase of Han characters -> per-character homophone sets plus
+//   whole words from /pinyin-words/<first syllable>.json read the same way
+// - a spaced pinyin sequence ("shi4 shi2", "shi shi") -> the same for those syllables
+// Adds toneLabel: "3", "2/4", "4 2", or null, and `annotated` entries
+// ({ char, sound, tone, pinyin, match, rank, confirmed }) in the same order as `homophones`.
+// preferred: Map(text -> times confirmed) from the user's corrections.
+export async function buildZhHomophones(baseUrl, candidates, bcp47, { toneMode = 'toneless', preferred = new Map() } = {}) {
+  try {
+    const primary = (bcp47 || '').split('-')[0].toLowerCase();
+    if (primary !== 'zh') return null;
+    const order = { preferred, traditional: /^zh-(tw|hk|mo|hant)/i.test(bcp47) };
+
+    let top = (candidates && candidates[0]) ? candidates[0].trim() : '';
+    if (!top) return null;
+
+    // Strip non-Han from ends so "你。" counts as "你"
+    const hanOnly = [...top].filter(ch => /\p{Script=Han}/u.test(ch)).join('');
+    if (hanOnly) top = hanOnly;
+
+    const isSingleHan = [...top].filter(ch => /\p{Script=Han}/u.test(ch)).length === 1;
+    const singlePinyin = detectSinglePinyin(top); // "hao", "hao3", "hǎo" -> normalized or null
+
+    if (isSingleHan) {
+      const ch = [...top].find(c => /\p{Script=Han}/u.test(c));
+      const readings = await lookupHanziReadings(baseUrl, ch); // [{sound,tone,pretty}]
+      const bases = [...new Set(readings.map(r => (r.sound || '').toLowerCase()).filter(Boolean))];
+      const tones = [...new Set(readings.map(r => r.tone).filter(Boolean))]; // e.g., [3] or [2,4]
+      const toneLabel = tones.length ? tones.join('/') : null;
+
+      const { homophones, annotated } = await homophonesForReadings(baseUrl, readings, toneMode, order);
+      return {
+        mode: 'singleChar',
+        input: ch,
+        bases,
+        toneMode,
+        homophones,
+        annotated,
+        toneLabel
+      };
+    }
+
+    if (singlePinyin) {
+      const baseKey = singlePinyin.replace(/[1-5]$/,'');
+      const toneLabel = /[1-5]$/.test(singlePinyin) ? singlePinyin.slice(-1) : null;
+      const { homophones, annotated } = await homophonesForReadings(
+        baseUrl, [{ sound: baseKey, tone: toneLabel ? Number(toneLabel) : null }], toneMode, order);
+      return {
+        mode: 'singlePinyin',
+        input: top,
+        bases: [baseKey],
+        toneMode,
+        homophones,
+        annotated,
+        toneLabel
+      };
+    }
+
+    const hanChars = [...top].filter(ch => /\p{Script=Han}/u.test(ch));
+    if (hanChars.length > 1 && hanChars.length <= MAX_PHRASE_CHARS) {
+      return await buildWordHomophones(baseUrl, hanChars, toneMode, order);
+    }
+
+    const pinyinSeq = detectPinyinSequence(top);
+    if (pinyinSeq) return await buildPinyinPhraseHomophones(baseUrl, top, pinyinSeq, toneMode, order);
+
+    return null;
+  } catch {
+    return null;
+  }
+}
+
+// Numeric equivalents for zh candidates ("3" / "三" / "叁", "两百" / "200"), via the
+// Node helper's Chinese numeral parser.
+// Returns { input, numberType, alternates: [...], numbers: [{ text, type, forms }] } or null:
+// `alternates` when the whole top candidate is one number, `numbers` for spans inside longer text.
+export async function buildZhNumbers(baseUrl, candidates, bcp47) {
+  try {
+    const primary = (bcp47 || '').split('-')[0].toLowerCase();
+    if (primary !== 'zh') return null;
+    const top = (candidates && candidates[0]) ? candidates[0].trim().replace(/[。！？!?…，,；;：:]+$/u, '') : '';
+    if (!top) return null;
+
+    const normURL = new URL(`/api/num-normalize?lang=${encodeURIComponent(bcp47)}&text=${encodeURIComponent(top)}`, baseUrl);
+    const r = await fetch(normURL.toString(), { headers: { 'accept': 'application/json' }, signal: AbortSignal.timeout(NORMALIZE_TIMEOUT_MS) });
+    if (!r.ok) return null;
+    const norm = await r.json();
+
+    const alternates = norm.type
+      ? [...new Set([...(norm.forms || []), ...(norm.alternatives || []).flatMap(a => a.forms || [])])].filter(f => f !== top)
+      : [];
+    const numbers = norm.type ? [] : (norm.spans || []).map(sp => ({ text: sp.text, type: sp.type, forms: sp.forms }));
+    if (alternates.length === 0 && numbers.length === 0) return null;
+    return { input: top, numberType: norm.type || null, alternates, numbers };
+  } catch {
+    return null;
+  }
+}
+
+// Multi-character word/phrase. Polyphonic characters contribute every reading.
+async function buildWordHomophones(baseUrl, hanChars, toneMode, order) {
+  const chars = [];
+  for (const ch of hanChars) {
+    const readings = await lookupHanziReadings(baseUrl, ch);
+    const bases = [...new Set(readings.map(r => (r.sound || '').toLowerCase()).filter(Boolean))];
+    const { homophones, annotated } = await homophonesForReadings(baseUrl, readings, toneMode, order);
+    chars.push({
+      char: ch,
+      readings: readings.map(r => `${(r.sound || '').toLowerCase()}${r.tone || ''}`).filter(Boolean),
+      bases,
+      homophones,
+      annotated
+    });
+  }
+
+  const input = hanChars.join('');
+  const words = await lookupWords(baseUrl, chars.map(c => c.readings), input);
+  const toneLabel = chars
+    .map(c => [...new Set(c.readings.map(r => r.slice(-1)).filter(t => /[1-5]/.test(t)))].join('/') || '?')
+    .join(' ');
+
+  return {
+    mode: 'word',
+    input,
+    bases: words.keys,
+    toneMode,
+    chars,
+    words: { toned: words.toned, toneless: words.toneless },
+    homophones: preferFirst(wordsForToneMode(words, toneMode), order.preferred),
+    toneLabel
+  };
+}
+
+// Spaced pinyin sequence, e.g. ["shi4", "shi2"] or ["shi", "shi"]
+async function buildPinyinPhraseHomophones(baseUrl, input, syllables, toneMode, order) {
+  const chars = [];
+  for (const syl of syllables) {
+    const base = syl.replace(/[1-5]$/, '');
+    const tone = /[1-5]$/.test(syl) ? Number(syl.slice(-1)) : null;
+    const { homophones, annotated } = await homophonesForReadings(baseUrl, [{ sound: base, tone }], toneMode, order);
+    chars.push({ syllable: syl, bases: [base], homophones, annotated });
+  }
+  const words = await lookupWords(baseUrl, syllables.map(s => [s]), null);
+  const toned = syllables.every(s => /[1-5]$/.test(s));
+  return {
+    mode: 'pinyinPhrase',
+    input,
+    bases: words.keys,
+    chars,
+    toneMode,
+    words: { toned: words.toned, toneless: words.toneless },
+    homophones: preferFirst(wordsForToneMode(words, toned ? toneMode : 'toneless'), order.preferred),
+    toneLabel: toned ? syllables.map(s => s.slice(-1)).join(' ') : null
+  };
+}
+
+function wordsForToneMode(words, toneMode) {
+  if (toneMode === 'exact') return words.toned;
+  if (toneMode === 'ranked') return [...new Set([...words.toned, ...words.toneless])];
+  return words.toneless;
+}
+
+// Confirmed choices first (most confirmed first), otherwise keep the order
+function preferFirst(list, preferred) {
+  if (!preferred?.size) return list;
+  return list
+    .map((w, i) => [w, i])
+    .sort(([a, i], [b, j]) => (preferred.get(b) || 0) - (preferred.get(a) || 0) || i - j)
+    .map(([w]) => w);
+}
+
+// Homophone characters for readings ([{ sound, tone }]), annotated with their
+// own pinyin/tone and frequency rank, and filtered or ordered according to toneMode.
+// order: { preferred: Map(char -> times confirmed), traditional: rank for zh-TW/HK }
+async function homophonesForReadings(baseUrl, readings, toneMode, order = {}) {
+  const preferred = order.preferred || new Map();
+  const targetsByBase = new Map();   // base -> Set(tones of the input)
+  for (const r of readings) {
+    const base = (r.sound || '').toLowerCase();
+    if (!base) continue;
+    if (!targetsByBase.has(base)) targetsByBase.set(base, new Set());
+    if (r.tone) targetsByBase.get(base).add(Number(r.tone));
+  }
+
+  const freq = await loadFrequency(baseUrl);
+  const seen = new Set();
+  let annotated = [];
+  for (const [base, targets] of targetsByBase) {
+    const shard = await loadPinyinShard(baseUrl, base);
+    const tonesOf = charTones(shard, base);
+    for (const ch of (shard[base] || [])) {
+      if (seen.has(ch)) continue;
+      seen.add(ch);
+      const a = annotateTone(ch, base, tonesOf.get(ch) || [], targets);
+      a.rank = (order.traditional ? freq.traditional[ch] ?? freq.ranks[ch] : freq.ranks[ch] ?? freq.traditional[ch]) ?? null;
+      if (preferred.has(ch)) a.confirmed = preferred.get(ch);
+      annotated.push(a);
+    }
+  }
+
+  if (toneMode === 'exact') {
+    annotated = annotated.filter(a => a.match === 'same' || a.match === null);
+  }
+  const byTone = (a, b) => (toneMode === 'ranked' ? (MATCH_ORDER[a.match] ?? 0) - (MATCH_ORDER[b.match] ?? 0) : 0);
+  annotated = annotated
+    .map((a, i) => [a, i])
+    .sort(([a, i], [b, j]) =>
+      (b.confirmed || 0) - (a.confirmed || 0) ||
+      byTone(a, b) ||
+      (a.rank ?? Infinity) - (b.rank ?? Infinity) ||
+      scriptFirst(a.char, b.char) ||
+      i - j)
+    .map(([a]) => a);
+  return { homophones: annotated.map(a => a.char), annotated };
+
+  // equal ranks are usually a Simplified/Traditional pair (号/號): the request's script first
+  function scriptFirst(x, y) {
+    const vx = x in freq.traditional ? 1 : 0, vy = y in freq.traditional ? 1 : 0;
+    return order.traditional ? vy - vx : vx - vy;
+  }
+}
+
+// char -> [tones] for one shard, from its toned keys ("hao3": [...])
+function charTones(shard, base) {
+  const out = new Map();
+  for (let t = 1; t <= 5; t++) {
+    for (const ch of (shard[`${base}${t}`] || [])) {
+      if (!out.has(ch)) out.set(ch, []);
+      out.get(ch).push(t);
+    }
+  }
+  return out;
+}
+
+// match: 'same' | 'near' | 'other', or null when the input tone is unknown
+function annotateTone(char, base, tones, targets) {
+  if (targets.size === 0) {
+    const tone = tones[0] ?? null;
+    return { char, sound: base, tone, pinyin: prettyPinyin(base, tone), match: null };
+  }
+  const same = tones.find(t => targets.has(t));
+  const near = tones.find(t => [...targets].some(x => NEAR_TONES[x]?.includes(t)));
+  const tone = same ?? near ?? tones[0] ?? null;
+  const match = same !== undefined ? 'same' : near !== undefined ? 'near' : 'other';
+  return { char, sound: base, tone, pinyin: prettyPinyin(base, tone), match };
+}
+
+// "hao", 3 -> "hǎo" (a/e take the mark, then the o of "ou", else the last vowel)
+const TONE_MARKS = { a: 'āáǎà', e: 'ēéěè', i: 'īíǐì', o: 'ōóǒò', u: 'ūúǔù' };
+function prettyPinyin(base, tone) {
+  if (!(tone >= 1 && tone <= 4)) return base;
+  const idx = /[ae]/.test(base) ? base.search(/[ae]/)
+    : base.includes('ou') ? base.indexOf('o')
+    : base.search(/[aeiou][^aeiou]*$/);
+  if (idx < 0) return base;
+  return base.slice(0, idx) + TONE_MARKS[base[idx]][tone - 1] + base.slice(idx + 1);
+}
+
+// Whole-word alternatives for a syllable sequence. `readingLists` holds the
+// possible syllables per position (["de5","di2",...] for polyphones); every
+// combination is looked up, toned and toneless. `exclude` drops the input itself.
+async function lookupWords(baseUrl, readingLists, exclude) {
+  const empty = { keys: [], toned: [], toneless: [] };
+  if (readingLists.length < 2 || readingLists.length > MAX_WORD_CHARS) return empty;
+  if (readingLists.some(list => list.length === 0)) return empty;
+
+  let combos = [[]];
+  for (const list of readingLists) {
+    const next = [];
+    for (const combo of combos) {
+      for (const syl of new Set(list)) next.push([...combo, syl]);
+    }
+    combos = next.slice(0, MAX_READING_COMBOS);
+  }
+
+  const keys = new Set();
+  const toned = new Set();
+  const toneless = new Set();
+  for (const combo of combos) {
+    const plain = combo.map(s => s.replace(/[1-5]$/, ''));
+    const tonelessKey = plain.join(' ');
+    keys.add(tonelessKey);
+    const shard = await loadWordShard(baseUrl, plain[0]);
+    for (const w of (shard[tonelessKey] || [])) toneless.add(w);
+    if (combo.every(s => /[1-5]$/.test(s))) {
+      for (const w of (shard[combo.join(' ')] || [])) toned.add(w);
+    }
+  }
+  toned.delete(exclude);
+  toneless.delete(exclude);
+  return { keys: [...keys], toned: [...toned], toneless: [...toneless] };
+}
+
+// Cache (module-scope) for performance across invocations
+let HANZI_MAP = null;              // { "好":[{sound:"hao",tone:3,pretty:"hǎo"}], ... }
+const SHARD_CACHE = new Map();     // "hao" -> { hao:[...], hao1:[...], ... }
+const WORD_SHARD_CACHE = new Map(); // "shi" -> { "shi shi":[...], "shi4 shi2":[...], ... }
+let FREQ_MAP = null;               // { ranks: { "的": 1, ... }, traditional: { "號": 487, ... } } (scripts/build-hanzi-frequency.mjs)
+
+// [{ sound, tone, pretty }] for one character (also used by _lib/scoring.js)
+export async function lookupHanziReadings(baseUrl, ch) {
+  if (!HANZI_MAP) {
+    const url = new URL('/hanzi_to_pinyin.json', baseUrl).toString();
+    const r = await fetch(url);
+    if (!r.ok) return [];
+    HANZI_MAP = await r.json();
+  }
+  return HANZI_MAP[ch] || [];
+}
+
+async function loadFrequency(baseUrl) {
+  if (FREQ_MAP) return FREQ_MAP;
+  const r = await fetch(new URL('/hanzi-frequency.json', baseUrl).toString());
+  FREQ_MAP = r.ok ? await r.json() : {};
+  FREQ_MAP.ranks ||= {};
+  FREQ_MAP.traditional ||= {};
+  return FREQ_MAP;
+}
+
+async function loadPinyinShard(baseUrl, base) {
+  if (SHARD_CACHE.has(base)) return SHARD_CACHE.get(base);
+  const url = new URL(`/pinyin-index/${base}.json`, baseUrl).toString();
+  const r = await fetch(url);
+  const obj = r.ok ? await r.json() : {};
+  SHARD_CACHE.set(base, obj);
+  return obj;
+}
+
+async function loadWordShard(baseUrl, base) {
+  if (WORD_SHARD_CACHE.has(base)) return WORD_SHARD_CACHE.get(base);
+  const url = new URL(`/pinyin-words/${base}.json`, baseUrl).toString();
+  const r = await fetch(url);
+  const obj = r.ok ? await r.json() : {};
+  WORD_SHARD_CACHE.set(base, obj);
+  return obj;
+}
+
+// Detect a single pinyin syllable like "hao", "hǎo", "hao3"
+function detectSinglePinyin(s) {
+  const toneMap = {
+    'ā':'a1','á':'a2','ǎ':'a3','à':'a4',
+    'ē':'e1','é':'e2','ě':'e3','è':'e4',
+    'ī':'i1','í':'i2','ǐ':'i3','ì':'i4',
+    'ō':'o1','ó':'o2','ǒ':'o3','ò':'o4',
+    'ū':'u1','ú':'u2','ǔ':'u3','ù':'u4',
+    'ǖ':'v1','ǘ':'v2','ǚ':'v3','ǜ':'v4','ü':'v'
+  };
+  let t = (s||'').trim().toLowerCase();
+  if (!t || t.includes(' ')) return null;
+  t = t.replace(/[āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜü]/g, m => toneMap[m] || m);
+  if (!/^[a-z]+[1-5]?$/.test(t)) return null;
+  if (t.length > 6) return null;
+  return t;
+}
+
+// Detect a spaced pinyin sequence like "shi4 shi2", "shì shí" or "xi'an"
+function detectPinyinSequence(s) {
+  const parts = (s || '').trim().split(/[\s']+/).filter(Boolean);
+  if (parts.length < 2 || parts.length > MAX_WORD_CHARS) return null;
+  const syllables = parts.map(detectSinglePinyin);
+  return syllables.every(Boolean) ? syllables : null;
+}
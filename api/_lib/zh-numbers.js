@@ -0,0 +1,263 @@
+// api/_lib/zh-numbers.js
+// Chinese number spans: finds numerals written with digits, lowercase
+// characters (三, 两百, 一万二千), financial characters (叁, 贰佰) or their
+// Traditional variants, and renders every equivalent written form.
+// Used by /api/num-normalize?lang=zh-* and the zh transcribe augment.
+
+const MAX_VALUE = 9999_9999_9999;
+
+/* ======================= vocabulary ======================= */
+
+const DIGITS = new Map([
+  ['零', 0], ['〇', 0],
+  ['一', 1], ['壹', 1], ['幺', 1],
+  ['二', 2], ['两', 2], ['兩', 2], ['贰', 2], ['貳', 2],
+  ['三', 3], ['叁', 3], ['參', 3], ['叄', 3],
+  ['四', 4], ['肆', 4],
+  ['五', 5], ['伍', 5],
+  ['六', 6], ['陆', 6], ['陸', 6],
+  ['七', 7], ['柒', 7],
+  ['八', 8], ['捌', 8],
+  ['九', 9], ['玖', 9]
+]);
+const SMALL_UNITS = new Map([['十', 10], ['拾', 10], ['百', 100], ['佰', 100], ['千', 1000], ['仟', 1000]]);
+const BIG_UNITS = new Map([['万', 1e4], ['萬', 1e4], ['亿', 1e8], ['億', 1e8]]);
+const POINTS = new Set(['点', '點']);
+
+const NUMERAL_CHARS = [...DIGITS.keys(), ...SMALL_UNITS.keys(), ...BIG_UNITS.keys(), ...POINTS].join('');
+
+// prefix (第 / 负 / 百分之), numeral body, optional 年
+const SPAN_RE = new RegExp(
+  `(第|负|負|百分之)?((?:[0-9０-９]+(?:[.．][0-9０-９]+)?|[${NUMERAL_CHARS}])+)(年)?`,
+  'gu'
+);
+const HAN_RE = /\p{Script=Han}/u;
+
+const LOWER     = { digits: '零一二三四五六七八九', units: ['', '十', '百', '千'], big: ['', '万', '亿'] };
+const FINANCIAL = { digits: '零壹贰叁肆伍陆柒捌玖', units: ['', '拾', '佰', '仟'], big: ['', '万', '亿'] };
+
+const TRADITIONAL = new Map([
+  ['万', '萬'], ['亿', '億'], ['两', '兩'], ['贰', '貳'], ['叁', '參'], ['陆', '陸'], ['点', '點'], ['负', '負']
+]);
+
+/* ======================= parsing ======================= */
+
+function toAsciiDigits(s) {
+  return s.replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0)).replace(/．/g, '.');
+}
+
+function tokenize(body) {
+  return toAsciiDigits(body).match(/[0-9]+(?:\.[0-9]+)?|./gu) || [];
+}
+
+const isArabic = tok => /^[0-9]/.test(tok);
+
+// Digit-by-digit reading: "二零二四" -> "2024", "幺三八" -> "138"
+function digitString(toks) {
+  if (!toks.every(t => DIGITS.has(t) || /^[0-9]+$/.test(t))) return null;
+  return toks.map(t => DIGITS.has(t) ? String(DIGITS.get(t)) : t).join('');
+}
+
+// Positional reading with units: "两千三百零五" -> 2305, "三万五" -> 35000, "3.5万" -> 35000
+function unitValue(toks) {
+  let total = 0, section = 0, num = 0, lastUnit = 0;
+  let prevUnit = false, afterZero = false, tail = false;
+  for (const t of toks) {
+    if (isArabic(t) || DIGITS.has(t)) {
+      num = isArabic(t) ? Number(t) : DIGITS.get(t);
+      if (num === 0) afterZero = true;
+      tail = prevUnit && !afterZero;
+      prevUnit = false;
+    } else if (SMALL_UNITS.has(t)) {
+      const u = SMALL_UNITS.get(t);
+      section += (num || 1) * u;
+      num = 0; lastUnit = u; prevUnit = true; afterZero = false;
+    } else if (BIG_UNITS.has(t)) {
+      const u = BIG_UNITS.get(t);
+      if (u === 1e8) {
+        total = (total + section + num) * u;
+        section = 0;
+      } else {
+        section = (section + num) * u;
+      }
+      num = 0; lastUnit = u; prevUnit = true; afterZero = false;
+    } else {
+      return null;
+    }
+  }
+  // colloquial abbreviation: the trailing digit counts one unit down ("一百五" = 150)
+  if (tail && num && lastUnit >= 100) num *= lastUnit / 10;
+  return Math.round(total + section + num);
+}
+
+// -> { type: 'cardinal' | 'decimal' | 'digits', value } or null
+function parseBody(body) {
+  const toks = tokenize(body);
+  const p = toks.findIndex(t => POINTS.has(t));
+  const intToks = p < 0 ? toks : toks.slice(0, p);
+  const fracToks = p < 0 ? [] : toks.slice(p + 1);
+  if (!intToks.length || (p >= 0 && !fracToks.length)) return null;
+
+  const hasUnits = intToks.some(t => SMALL_UNITS.has(t) || BIG_UNITS.has(t));
+  let intValue;
+  if (!hasUnits && intToks.length === 1 && isArabic(intToks[0])) {
+    intValue = Number(intToks[0]);
+  } else if (!hasUnits) {
+    const ds = digitString(intToks);
+    if (ds === null) return null;
+    // several digit characters in a row are read one by one
+    if (intToks.length > 1) return p < 0 ? { type: 'digits', value: ds } : null;
+    intValue = Number(ds);
+  } else {
+    intValue = unitValue(intToks);
+  }
+  if (intValue === null || !Number.isFinite(intValue) || intValue > MAX_VALUE) return null;
+
+  if (p >= 0) {
+    const frac = digitString(fracToks);
+    if (frac === null) return null;
+    return { type: 'decimal', value: Number(`${intValue}.${frac}`) };
+  }
+  return /\./.test(String(intValue)) ? { type: 'decimal', value: intValue } : { type: 'cardinal', value: intValue };
+}
+
+function matchSpan(prefix, body, nian) {
+  const parsed = parseBody(body);
+  if (!parsed) return null;
+  const { type, value } = parsed;
+  const alternatives = [];
+
+  if (prefix === '第') {
+    return type === 'cardinal' ? { type: 'ordinal', value, consumedNian: false } : null;
+  }
+  if (prefix === '负' || prefix === '負') {
+    if (type === 'digits') return null;
+    return { type: 'negative', value: -value, consumedNian: false };
+  }
+  if (prefix === '百分之') {
+    if (type === 'digits') return null;
+    return { type: 'percent', value, consumedNian: false };
+  }
+
+  const asYear = type === 'digits' ? Number(value) : value;
+  // years are read digit by digit (二〇二四) or written in Arabic digits, never with units
+  const readAsDigits = type === 'digits' || (type === 'cardinal' && /^[0-9０-９]+$/.test(body));
+  const yearLike = readAsDigits && String(value).length === 4 && asYear >= 1000;
+  if (nian && yearLike) return { type: 'year', value: asYear, consumedNian: true };
+  if (yearLike && asYear < 3000) alternatives.push({ type: 'year', value: asYear });
+  return { type, value, alternatives, consumedNian: false };
+}
+
+// Finds Chinese/Arabic number spans in text.
+// Returns [{ text, start, end, type, value, forms, alternatives }] where type is
+// cardinal | decimal | negative | ordinal | percent | year | digits (a digit-by-digit reading).
+// A lone numeral character inside running Chinese text (一起, 十分, 两个) is not a span.
+export function findZhNumberSpans(text, { traditional = false } = {}) {
+  const src = text || '';
+  const spans = [];
+  for (const m of src.matchAll(SPAN_RE)) {
+    const [, prefix, rawBody, nian] = m;
+    // units can't start a number ("万一", "千万")
+    const lead = rawBody.match(/^[百佰千仟万萬亿億点點]+/u)?.[0].length || 0;
+    const body = rawBody.slice(lead);
+    if (!body || (lead && prefix)) continue;
+
+    const start = m.index + (prefix ? 0 : lead);
+    const bodyEnd = m.index + (prefix || '').length + rawBody.length;
+
+    if (!prefix && [...body].length === 1 && !/[0-9０-９]/.test(body)) {
+      const before = src.slice(0, start).slice(-1);
+      const after = src.slice(bodyEnd, bodyEnd + 1);
+      if (HAN_RE.test(before) || HAN_RE.test(after)) continue;
+    }
+
+    const hit = matchSpan(prefix, body, nian);
+    if (!hit) continue;
+    const end = bodyEnd + (hit.consumedNian ? 1 : 0);
+    spans.push({
+      text: src.slice(start, end),
+      start,
+      end,
+      type: hit.type,
+      value: hit.value,
+      forms: zhFormsFor(hit.type, hit.value, { traditional }),
+      alternatives: (hit.alternatives || []).map(a => ({ ...a, forms: zhFormsFor(a.type, a.value, { traditional }) }))
+    });
+  }
+  return spans;
+}
+
+/* ======================= rendering ======================= */
+
+function sectionChars(n, sys) {
+  let s = '', zero = false;
+  for (let pos = 3; pos >= 0; pos--) {
+    const d = Math.floor(n / 10 ** pos) % 10;
+    if (d === 0) { if (s) zero = true; continue; }
+    if (zero) s += sys.digits[0];
+    zero = false;
+    s += sys.digits[d] + sys.units[pos];
+  }
+  return s;
+}
+
+// 20305 -> "二万零三百零五" (LOWER) / "贰万零叁佰零伍" (FINANCIAL)
+function intChars(n, sys) {
+  if (n === 0) return sys.digits[0];
+  const sections = [n % 1e4, Math.floor(n / 1e4) % 1e4, Math.floor(n / 1e8)];
+  let out = '', gap = false;
+  for (let k = 2; k >= 0; k--) {
+    const sec = sections[k];
+    if (sec === 0) { if (out) gap = true; continue; }
+    if (out && (gap || sec < 1000)) out += sys.digits[0];
+    out += sectionChars(sec, sys) + sys.big[k];
+    gap = false;
+  }
+  // 一十五 -> 十五 (lowercase only; financial keeps 壹拾伍)
+  return sys === LOWER ? out.replace(/^一十/, '十') : out;
+}
+
+// 二百 -> 两百, 一万二千 -> 一万两千 (but 二十二万 stays)
+function withLiang(s) {
+  return s.replace(/(^|[^十])二(?=[百千万亿])/gu, '$1两');
+}
+
+function digitChars(s, zero = '零') {
+  return [...String(s)].map(c => c === '.' ? '点' : (c === '0' ? zero : LOWER.digits[Number(c)])).join('');
+}
+
+function decimalChars(x, sys) {
+  const [i, f] = String(x).split('.');
+  const frac = f ? '点' + [...f].map(c => sys.digits[Number(c)]).join('') : '';
+  return intChars(Number(i), sys) + frac;
+}
+
+function toTraditional(s) {
+  return [...s].map(c => TRADITIONAL.get(c) || c).join('');
+}
+
+// Simplified forms plus their Traditional spellings, preferred script first
+function withScripts(forms, traditional) {
+  const trad = forms.map(toTraditional);
+  return traditional ? [...trad, ...forms] : [...forms, ...trad];
+}
+
+function cardinalZh(n) {
+  const lower = intChars(n, LOWER);
+  return [lower, withLiang(lower), n === 2 ? '两' : null, intChars(n, FINANCIAL)].filter(Boolean);
+}
+
+// Every written form of a typed value: digits first, then characters
+export function zhFormsFor(type, value, { traditional = false } = {}) {
+  const forms =
+    type === 'cardinal' ? [String(value), ...withScripts(cardinalZh(value), traditional)]
+    : type === 'decimal' ? [String(value), ...withScripts([decimalChars(value, LOWER), decimalChars(value, FINANCIAL)], traditional)]
+    : type === 'negative' ? [String(value), ...withScripts(
+        [decimalChars(-value, LOWER), decimalChars(-value, FINANCIAL)].map(s => '负' + s), traditional)]
+    : type === 'ordinal' ? [`第${value}`, ...withScripts(cardinalZh(value).slice(0, 1).map(s => '第' + s), traditional)]
+    : type === 'percent' ? [`${value}%`, ...withScripts([decimalChars(value, LOWER)].map(s => '百分之' + s), traditional)]
+    : type === 'year' ? [`${value}年`, `${digitChars(value, '〇')}年`, `${digitChars(value)}年`]
+    : type === 'digits' ? [value, digitChars(value), digitChars(value, '〇')]
+    : [];
+  return [...new Set(forms.filter(Boolean))];
+}
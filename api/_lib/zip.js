@@ -0,0 +1,85 @@
+// api/_lib/zip.js
+// Minimal ZIP reader for batch uploads: stored and deflated entries via the
+// central directory (no ZIP64, no encryption). Runs on the edge runtime.
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+export const MAX_ZIP_ENTRIES = 1000;
+export const MAX_ZIP_BYTES = 100 * 1024 * 1024; // total uncompressed
+
+export function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4B && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+// Stops as soon as the output passes `limit` bytes, so a lying header can't inflate a bomb
+async function inflateRaw(data, limit, name) {
+  const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > limit) {
+      await reader.cancel().catch(() => {});
+      throw new Error(`ZIP entry "${name}" inflates past its declared size`);
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(length);
+  let at = 0;
+  for (const c of chunks) {
+    out.set(c, at);
+    at += c.length;
+  }
+  return out;
+}
+
+// -> [{ name, data: Uint8Array }] for every file entry (directories skipped)
+export async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // End-of-central-directory record sits in the last 22 + 65535 (comment) bytes
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === EOCD_SIG) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Not a ZIP archive (no central directory)');
+
+  const count = view.getUint16(eocd + 10, true);
+  if (count > MAX_ZIP_ENTRIES) throw new Error(`ZIP has ${count} entries (max ${MAX_ZIP_ENTRIES})`);
+  let at = view.getUint32(eocd + 16, true);
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  let total = 0;
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(at, true) !== CENTRAL_SIG) throw new Error('Corrupt ZIP central directory');
+    const method = view.getUint16(at + 10, true);
+    const compressedSize = view.getUint32(at + 20, true);
+    const size = view.getUint32(at + 24, true);
+    const nameLen = view.getUint16(at + 28, true);
+    const extraLen = view.getUint16(at + 30, true);
+    const commentLen = view.getUint16(at + 32, true);
+    const localAt = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLen));
+    at += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith('/')) continue;
+    total += size;
+    if (total > MAX_ZIP_BYTES) throw new Error(`ZIP contents exceed ${MAX_ZIP_BYTES / 1024 / 1024} MB`);
+
+    if (view.getUint32(localAt, true) !== LOCAL_SIG) throw new Error(`Corrupt ZIP entry "${name}"`);
+    const dataAt = localAt + 30 + view.getUint16(localAt + 26, true) + view.getUint16(localAt + 28, true);
+    const raw = bytes.subarray(dataAt, dataAt + compressedSize);
+
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = await inflateRaw(raw, size, name);
+    else throw new Error(`ZIP entry "${name}" uses unsupported compression method ${method}`);
+    entries.push({ name, data });
+  }
+  return entries;
+}
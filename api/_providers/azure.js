@@ -0,0 +1,269 @@
+// api/_providers/azure.js
+// Azure Speech REST (short audio). Top-5 via format=detailed.
+// Endpoints are tried in order until one recognizes speech; AZURE_ENDPOINTS sets the order per
+// language ("zh=dictation,conversation; ja-JP=interactive; *=conversation,interactive,dictation",
+// exact tag, then primary subtag, then *), and the one that last succeeded for a language goes first.
+// Phrase hints go to the fast-transcription API (the only REST API taking a phrase list);
+// its 1-best leads the short-audio N-best. Conversation mode uses the same API with diarization,
+// and language=auto its language identification (several candidate locales).
+import { errString, fetchUpstream } from '../_lib/http.js';
+import { ProviderError, upstreamError } from '../_lib/errors.js';
+import { normalizeDetails } from '../_lib/candidates.js';
+
+const FAST_API_VERSION = '2024-11-15';
+
+const ENDPOINTS = {
+  conversation: 'recognition/conversation/cognitiveservices/v1',
+  interactive: 'recognition/interactive/cognitiveservices/v1',
+  dictation: 'recognition/dictation/cognitiveservices/v1'
+};
+const DEFAULT_ORDER = ['conversation', 'interactive', 'dictation'];
+
+const LAST_SUCCESS = new Map(); // language -> endpoint name
+
+export default {
+  name: 'azure',
+  mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/webm', 'audio/ogg'],
+  nBest: true,
+
+  isConfigured() {
+    return !!process.env.AZURE_SPEECH_KEY;
+  },
+
+  async transcribe(blob, language, { detail = false, phrases = [] } = {}) {
+    const contentType = azureContentType(blob.type);
+    const biased = phrases.length ? fastTranscribe(blob, language, phrases) : null;
+    let failure = null;   // last HTTP error, thrown when no endpoint answered at all
+    let noSpeech = null;  // recognition status of an endpoint that answered without text
+
+    for (const name of endpointOrder(language)) {
+      const { ok, status, body, retryAfter } = await recognize(ENDPOINTS[name], blob, language, { detail });
+      if (!ok) {
+        failure = upstreamError('Azure', status, errString(body, 'Azure error'), retryAfter);
+        // a rejected key or a rate limit applies to every endpoint alike
+        if (failure.code !== 'UPSTREAM_ERROR') break;
+        continue;
+      }
+
+      const details = normalizeDetails(extractAzureCandidates(body).slice(0, 5), language);
+
+      if (details.length > 0) {
+        LAST_SUCCESS.set(language, name);
+        const merged = await withPhraseResult(details, biased, language);
+        return {
+          candidates: merged.details.map(d => d.text),
+          details: merged.details,
+          meta: { endpoint: name, contentType, ...merged.meta }
+        };
+      }
+
+      noSpeech = errString(body, 'No speech recognized');
+    }
+
+    const merged = await withPhraseResult([], biased, language);
+    if (merged.details.length) {
+      return { candidates: merged.details.map(d => d.text), details: merged.details, meta: { endpoint: 'fast', contentType, ...merged.meta } };
+    }
+    if (failure && !noSpeech) throw failure;
+    return { candidates: [], error: noSpeech || 'No speech recognized' };
+  },
+
+  // Conversation mode: fast transcription with diarization, one phrase per speaker turn
+  async diarize(blob, language, { phrases = [], speakers = 0 } = {}) {
+    const definition = {
+      locales: [language],
+      diarization: { enabled: true, maxSpeakers: Math.max(2, speakers || 4) }
+    };
+    if (phrases.length) definition.phraseList = { phrases };
+    const { ok, status, body, retryAfter } = await fastRequest(blob, definition);
+    if (!ok) throw upstreamError('Azure fast transcription', status, errString(body, 'Azure fast transcription error'), retryAfter);
+
+    const segments = (Array.isArray(body?.phrases) ? body.phrases : []).map(p => ({
+      startMs: Number(p.offsetMilliseconds) || 0,
+      endMs: (Number(p.offsetMilliseconds) || 0) + (Number(p.durationMilliseconds) || 0),
+      speaker: p.speaker ?? null,
+      text: (p.text || '').toString(),
+      confidence: Number.isFinite(p.confidence) ? p.confidence : null
+    }));
+    return { segments, meta: { endpoint: 'fast' } };
+  },
+
+  // language=auto: fast transcription with every candidate locale tags each phrase with the
+  // locale it heard; the one covering most speech wins. Confidence is its share of the speech
+  // times the phrases' mean recognition confidence (Azure reports no separate LID score).
+  async identifyLanguage(blob, languages) {
+    const { ok, status, body, retryAfter } = await fastRequest(blob, { locales: languages });
+    if (!ok) throw upstreamError('Azure fast transcription', status, errString(body, 'Azure fast transcription error'), retryAfter);
+
+    const byLocale = new Map(); // candidate -> { ms, weighted }
+    let total = 0;
+    for (const p of Array.isArray(body?.phrases) ? body.phrases : []) {
+      const language = languages.find(l => l.toLowerCase() === (p.locale || '').toLowerCase());
+      if (!language || !(p.text || '').trim()) continue;
+      const ms = Number(p.durationMilliseconds) || 1;
+      const e = byLocale.get(language) || { ms: 0, weighted: 0 };
+      e.ms += ms;
+      e.weighted += ms * (Number.isFinite(p.confidence) ? p.confidence : 1);
+      byLocale.set(language, e);
+      total += ms;
+    }
+    if (!total) return null;
+
+    const scores = languages.map(language => ({ language, score: round3((byLocale.get(language)?.ms || 0) / total) }));
+    const [language, best] = [...byLocale].sort((a, b) => b[1].ms - a[1].ms)[0];
+    return { language, confidence: round3(best.ms / total * (best.weighted / best.ms)), scores };
+  },
+
+  // Continuous mode: the conversation endpoint re-recognizes the open segment on
+  // every chunk (partial); once the client hears a pause it sends final=1 and the
+  // segment is closed with the full N-best.
+  async *stream(blob, language, { final = false } = {}) {
+    const { ok, status, body, retryAfter } = await recognize(ENDPOINTS.conversation, blob, language);
+    if (!ok) throw upstreamError('Azure', status, errString(body, 'Azure error'), retryAfter);
+
+    const details = normalizeDetails(extractAzureCandidates(body).slice(0, 5), language);
+    const text = details[0]?.text || '';
+    if (final) {
+      yield { type: 'final', text, candidates: details.map(d => d.text), details };
+    } else if (text) {
+      yield { type: 'partial', text };
+    }
+  }
+};
+
+// Configured order for `language` (unknown names dropped), last success moved to the front
+function endpointOrder(language) {
+  const rules = new Map();
+  for (const rule of (process.env.AZURE_ENDPOINTS || '').split(';')) {
+    const [tag, list] = rule.split('=').map(s => (s || '').trim());
+    const names = (list || '').split(',').map(s => s.trim().toLowerCase()).filter(n => ENDPOINTS[n]);
+    if (tag && names.length) rules.set(tag.toLowerCase(), names);
+  }
+  const lang = (language || '').toLowerCase();
+  const order = rules.get(lang) || rules.get(lang.split('-')[0]) || rules.get('*') || DEFAULT_ORDER;
+  const last = LAST_SUCCESS.get(language);
+  return order.includes(last) ? [last, ...order.filter(n => n !== last)] : order;
+}
+
+async function recognize(path, blob, language, { detail = false } = {}) {
+  const azKey = process.env.AZURE_SPEECH_KEY;
+  const azRegion = process.env.AZURE_REGION || 'eastus';
+  if (!azKey) throw new ProviderError('AZURE_SPEECH_KEY missing', 'PROVIDER_AUTH');
+
+  const url = `https://${azRegion}.stt.speech.microsoft.com/speech/${path}?language=${encodeURIComponent(language)}&format=detailed&profanity=raw${detail ? '&wordLevelTimestamps=true' : ''}`;
+
+  return fetchUpstream(url, {
+    method: 'POST',
+    headers: {
+      'Ocp-Apim-Subscription-Key': azKey,
+      'Content-Type': azureContentType(blob.type),
+      'Accept': 'application/json'
+    },
+    body: blob // send Blob directly
+  }, { label: 'Azure' });
+}
+
+// Fast transcription with a phrase list -> { ok, text } (1-best only) or { ok: false, error };
+// never rejects, since it runs alongside the N-best calls and may be left unawaited
+async function fastTranscribe(blob, language, phrases) {
+  try {
+    return await fastTranscribeRequest(blob, language, phrases);
+  } catch (err) {
+    return { ok: false, error: String(err?.message || err) };
+  }
+}
+
+async function fastTranscribeRequest(blob, language, phrases) {
+  const { ok, body } = await fastRequest(blob, { locales: [language], phraseList: { phrases } });
+  if (!ok) return { ok: false, error: errString(body, 'Azure fast transcription error') };
+  return { ok: true, text: (body?.combinedPhrases?.[0]?.text || '').trim() };
+}
+
+// One fast-transcription call with `definition` -> fetchUpstream result
+async function fastRequest(blob, definition) {
+  const azKey = process.env.AZURE_SPEECH_KEY;
+  const azRegion = process.env.AZURE_REGION || 'eastus';
+  if (!azKey) throw new ProviderError('AZURE_SPEECH_KEY missing', 'PROVIDER_AUTH');
+
+  const ext = (blob.type || '').includes('wav') ? 'wav' : (blob.type || '').includes('webm') ? 'webm' : 'ogg';
+  const fd = new FormData();
+  fd.append('audio', blob, `speech.${ext}`);
+  fd.append('definition', JSON.stringify(definition));
+
+  const url = `https://${azRegion}.api.cognitive.microsoft.com/speechtotext/transcriptions:transcribe?api-version=${FAST_API_VERSION}`;
+  return fetchUpstream(url, {
+    method: 'POST',
+    headers: { 'Ocp-Apim-Subscription-Key': azKey, 'Accept': 'application/json' },
+    body: fd
+  }, { label: 'Azure fast transcription' });
+}
+
+// Put the phrase-biased 1-best in front of the N-best (deduped); a failed phrase
+// request only costs the hint, reported in meta.phraseListError.
+async function withPhraseResult(details, biased, language) {
+  if (!biased) return { details, meta: {} };
+  const res = await biased;
+  if (!res.ok) return { details, meta: { phraseListError: res.error } };
+
+  const [top] = normalizeDetails(res.text ? [{ text: res.text }] : [], language);
+  if (!top) return { details, meta: { phraseList: true } };
+  const key = t => t.toLowerCase().replace(/\s+/g, '');
+  const same = details.find(d => key(d.text) === key(top.text));
+  return {
+    details: [same || top, ...details.filter(d => d !== same)].slice(0, 5),
+    meta: { phraseList: true }
+  };
+}
+
+// Prefer using the actual client MIME; normalize to common Azure-accepted types
+function azureContentType(mime) {
+  const blobType = (mime || '').toLowerCase();
+  // WAV reaching a provider has been converted to mono 16 kHz 16-bit (see _lib/audio-format.js)
+  if (blobType.includes('wav'))  return 'audio/wav; codecs=audio/pcm; samplerate=16000';
+  if (blobType.includes('webm')) return 'audio/webm; codecs=opus';
+  if (blobType.includes('ogg'))  return 'audio/ogg; codecs=opus';
+  return 'application/octet-stream';
+}
+
+// Pull plausible text fields from Azure result shapes, keeping every form,
+// the confidence and (with wordLevelTimestamps) per-word timings.
+function extractAzureCandidates(data) {
+  let nbest = [];
+  if (Array.isArray(data?.NBest)) {
+    nbest = data.NBest;
+  } else if (Array.isArray(data?.results) && Array.isArray(data.results[0]?.NBest)) {
+    nbest = data.results[0].NBest;
+  }
+
+  const out = [];
+  const fields = ['lexical', 'display', 'itn', 'maskedITN', 'transcript', 'NormalizedText', 'Display'];
+  for (const item of nbest || []) {
+    const f = fields.find(f => (item?.[f] || '').toString().trim());
+    if (!f) continue;
+    const confidence = Number(item.Confidence ?? item.confidence);
+    out.push({
+      text: item[f].toString().trim(),
+      lexical: item.Lexical ?? item.lexical ?? null,
+      itn: item.ITN ?? item.itn ?? null,
+      maskedItn: item.MaskedITN ?? item.maskedITN ?? null,
+      display: item.Display ?? item.display ?? null,
+      confidence: Number.isFinite(confidence) ? confidence : null,
+      words: (Array.isArray(item.Words) ? item.Words : []).map(w => ({
+        word: w.Word,
+        offsetMs: ticksToMs(w.Offset),
+        durationMs: ticksToMs(w.Duration),
+        confidence: Number.isFinite(w.Confidence) ? w.Confidence : null
+      }))
+    });
+  }
+  return out;
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+// Azure reports offsets/durations in 100-ns ticks
+function ticksToMs(t) {
+  return Number.isFinite(t) ? Math.round(t / 10000) : null;
+}
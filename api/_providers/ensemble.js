@@ -0,0 +1,122 @@
+// api/_providers/ensemble.js
+// Sends the same audio to several providers in parallel and merges their
+// candidates into one ranked list.
+//
+// Ranking: candidates are deduped case/space-insensitively; each keeps the
+// providers (and ranks) that produced it. `agreement` is the share of
+// members asked that returned it (a failed member counts against every
+// candidate and stays listed in providerErrors); ties are broken by the summed
+// reciprocal rank, so a #1 from one engine beats a #4 from another.
+//
+// Members that don't take the upload's type (e.g. Azure and MP3) are not asked:
+// they are listed in meta.skipped and left out of the agreement share.
+import { ProviderError } from '../_lib/errors.js';
+
+// accepts(provider, mime): the registry's acceptsMime
+export function createEnsembleProvider(listProviders, accepts) {
+  return {
+    name: 'ensemble',
+    mimeTypes: ['audio/'],
+    nBest: true,
+    ensemble: false,
+
+    isConfigured() {
+      return defaultMembers(listProviders()).length > 0;
+    },
+
+    // Provider calls one transcribe makes (for rate limiting); `mime` leaves out members that won't take it
+    memberCount(requested, mime) {
+      return pickMembers(listProviders(), requested).filter(p => accepts(p, mime)).length;
+    },
+
+    async transcribe(blob, language, ctx = {}) {
+      const picked = pickMembers(listProviders(), ctx.members);
+      if (picked.length === 0) throw new ProviderError('No providers configured for ensemble', 'PROVIDER_AUTH');
+      const members = picked.filter(p => accepts(p, blob.type));
+      const skipped = {};
+      for (const p of picked) if (!members.includes(p)) skipped[p.name] = `does not accept ${blob.type}`;
+      if (members.length === 0) {
+        throw new ProviderError(`No ensemble member accepts ${blob.type} (${Object.keys(skipped).join(', ')})`, 'UNSUPPORTED_FORMAT');
+      }
+
+      const settled = await Promise.allSettled(
+        members.map(p => p.transcribe(blob, language, ctx))
+      );
+
+      const errors = {};
+      const lists = [];
+      settled.forEach((s, i) => {
+        const name = members[i].name;
+        if (s.status === 'rejected') {
+          errors[name] = String(s.reason?.message || s.reason);
+        } else if (s.value.candidates.length === 0) {
+          errors[name] = s.value.error || 'No speech recognized';
+        } else {
+          lists.push({ name, candidates: s.value.candidates, details: s.value.details });
+        }
+      });
+
+      const { ranked, details } = mergeCandidates(lists, members.length);
+      const meta = { members: members.map(p => p.name), ranked, providerErrors: errors, skipped };
+      if (ranked.length === 0) {
+        if (lists.length === 0 && settled.every(s => s.status === 'rejected')) {
+          const code = settled.map(s => s.reason?.code).find(Boolean) || 'UPSTREAM_ERROR';
+          throw new ProviderError(Object.entries(errors).map(([k, v]) => `${k}: ${v}`).join('; '), code);
+        }
+        return { candidates: [], error: 'No speech recognized', meta };
+      }
+      return { candidates: ranked.map(c => c.text), details, meta };
+    }
+  };
+}
+
+function defaultMembers(all) {
+  return all.filter(p => p.ensemble !== false && p.isConfigured());
+}
+
+// `requested` is an optional comma list from the `members` form field
+function pickMembers(all, requested) {
+  const names = (requested || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (names.length === 0) return defaultMembers(all);
+  return all.filter(p => p.name !== 'ensemble' && names.includes(p.name));
+}
+
+function mergeKey(s) {
+  return s.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Returns the ranked entries plus aligned detail objects; a merged
+// candidate borrows the detail of the first provider that produced it.
+// `total` is the number of members asked, including those that failed.
+function mergeCandidates(lists, total) {
+  const byKey = new Map();
+  for (const { name, candidates, details } of lists) {
+    candidates.forEach((text, rank) => {
+      const key = mergeKey(text);
+      let entry = byKey.get(key);
+      if (!entry) {
+        entry = { text, provenance: [], score: 0, detail: null };
+        byKey.set(key, entry);
+      }
+      if (!entry.detail && details?.[rank]) entry.detail = details[rank];
+      if (entry.provenance.some(s => s.provider === name)) return;
+      entry.provenance.push({ provider: name, rank: rank + 1 });
+      entry.score += 1 / (rank + 1);
+    });
+  }
+
+  const entries = [...byKey.values()]
+    .map(e => ({
+      text: e.text,
+      provenance: e.provenance,
+      agreement: Math.round((e.provenance.length / total) * 100) / 100,
+      score: Math.round(e.score * 1000) / 1000,
+      detail: e.detail
+    }))
+    .sort((a, b) => b.agreement - a.agreement || b.score - a.score);
+
+  return {
+    ranked: entries.map(({ detail, ...rest }) => rest),
+    details: entries.map(e => ({ ...(e.detail || {}), text: e.text }))
+  };
+}
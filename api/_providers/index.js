@@ -0,0 +1,64 @@
+// api/_providers/index.js
+// Provider registry for /api/transcribe.
+//
+// A provider is a plain object:
+//   name        – value of the `provider` form field
+//   mimeTypes   – accepted upload types (prefix match, e.g. 'audio/webm')
+//   nBest       – true if it can return more than one candidate
+//   isConfigured() – false when its credentials are missing
+//   ensemble    – optional; false keeps it out of the default ensemble
+//   anySampleRate – optional; true if it takes WAV at any sample rate (uploads are then only
+//       downmixed to mono 16-bit, not resampled)
+//   transcribe(blob, language, ctx) -> { candidates, details?, error?, meta? }
+//       blob has already been sniffed by _lib/audio-format.js: its type is the real
+//       container and WAV is mono 16-bit at 16 kHz (at the upload's rate with anySampleRate);
+//       ctx.audio describes the original upload.
+//       candidates are already language-filtered and normalized;
+//       details (optional) is aligned with candidates:
+//       [{ text, lexical, itn, display, confidence, words: [{ word, offsetMs, durationMs }] }]
+//       throws ProviderError (with an _lib/errors.js code) when the request cannot be served;
+//       heard-nothing is not an error: return no candidates (error: the provider's reason).
+//       ctx.phrases (may be empty) are the caller's phrase hints; pass them upstream in
+//       whatever form the service takes (see _lib/phrases.js).
+//   diarize(blob, language, ctx) – optional, for /api/transcribe-conversation: the whole recording
+//       -> { segments: [{ startMs, endMs, speaker, text, confidence? }], meta? }, or null when it
+//       can't diarize this input (the route then segments WAV itself). ctx.speakers: expected
+//       speaker count, 0 if unknown. Throws ProviderError like transcribe.
+//   identifyLanguage(blob, languages, ctx) – optional, for language=auto: which of `languages`
+//       (BCP-47 tags) is spoken -> { language, confidence, scores? }, or null when undecided
+//       (the pipeline then transcribes under each candidate and scores the results).
+//       Throws ProviderError like transcribe.
+//   stream(blob, language, ctx) – optional async generator for /api/transcribe-stream.
+//       blob is the open segment so far; ctx.final marks it closed (the client heard a pause).
+//       yields { type: 'partial', text } and, when final, { type: 'final', text, candidates, details? }
+import azure from './azure.js';
+import openai from './openai.js';
+import mock from './mock.js';
+import { createEnsembleProvider } from './ensemble.js';
+
+const PROVIDERS = new Map();
+
+export function registerProvider(provider) {
+  PROVIDERS.set(provider.name, provider);
+}
+
+export function getProvider(name) {
+  return PROVIDERS.get((name || '').toLowerCase()) || null;
+}
+
+export function providerNames() {
+  return [...PROVIDERS.keys()];
+}
+
+// Empty/unknown type is let through; the upstream decides.
+export function acceptsMime(provider, mime) {
+  const t = (mime || '').toLowerCase().split(';')[0].trim();
+  if (!t) return true;
+  return provider.mimeTypes.some(m => t.startsWith(m));
+}
+
+registerProvider(azure);
+registerProvider(openai);
+// canned answers for anyone, free: only when switched on (development, tests)
+if (process.env.ENABLE_MOCK_PROVIDER === '1') registerProvider(mock);
+registerProvider(createEnsembleProvider(() => [...PROVIDERS.values()], acceptsMime));
@@ -0,0 +1,75 @@
+// api/_providers/mock.js
+// Offline stand-in: answers with canned results from /fixtures/transcribe/<name>.json
+// so the whole pipeline can be exercised without Azure or OpenAI keys.
+//
+// Fixture shape: { "candidates": ["Two.", "to", ...] }  (raw, un-normalized)
+//           or   { "candidates": [{ "text": "Two.", "confidence": 0.91, "words": [...] }, ...] }
+//           or   { "candidates": [], "error": "No speech recognized" }
+// A fixture may also hold conversation-mode "segments": [{ "startMs", "endMs", "speaker", "text" }];
+// without them conversation mode falls back to local segmentation.
+// <name> is the `fixture` form field if given, else the request language.
+// In continuous mode the top fixture text is revealed a word (or CJK character)
+// at a time in proportion to the segment's audio length.
+import { ProviderError } from '../_lib/errors.js';
+import { normalizeDetails } from '../_lib/candidates.js';
+
+const MS_PER_WORD = 350;
+const WAV_BYTES_PER_MS = 32; // 16 kHz mono PCM16
+
+export default {
+  name: 'mock',
+  mimeTypes: ['audio/'],
+  nBest: true,
+  ensemble: false,
+
+  isConfigured() {
+    return true;
+  },
+
+  async transcribe(blob, language, { baseUrl, fixture } = {}) {
+    const { name, body } = await loadFixture(baseUrl, fixture || language);
+
+    const raw = (Array.isArray(body?.candidates) ? body.candidates : [])
+      .map(c => (typeof c === 'string' ? { text: c } : { ...c, text: (c?.text || '').toString() }))
+      .slice(0, 5);
+    const details = normalizeDetails(raw, language);
+
+    if (details.length === 0) {
+      return { candidates: [], error: body?.error || 'No speech recognized' };
+    }
+    return { candidates: details.map(d => d.text), details, meta: { fixture: name } };
+  },
+
+  async diarize(blob, language, { baseUrl, fixture } = {}) {
+    const { name, body } = await loadFixture(baseUrl, fixture || language);
+    if (!Array.isArray(body?.segments)) return null;
+    return { segments: body.segments.map(s => ({ ...s, text: (s?.text || '').toString() })), meta: { fixture: name } };
+  },
+
+  async *stream(blob, language, ctx = {}) {
+    const { candidates, details } = await this.transcribe(blob, language, ctx);
+    const text = candidates[0] || '';
+    if (ctx.final) {
+      yield { type: 'final', text, candidates, details: details || [] };
+      return;
+    }
+    const spaced = !/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text);
+    const units = spaced ? text.split(/\s+/) : [...text];
+    const heard = Math.ceil(Math.max(0, blob.size - 44) / WAV_BYTES_PER_MS / MS_PER_WORD);
+    const upTo = Math.min(units.length, heard);
+    // a couple of revisions per chunk, like a real recognizer catching up
+    for (let n = Math.max(1, upTo - 2); n <= upTo; n++) {
+      yield { type: 'partial', text: units.slice(0, n).join(spaced ? ' ' : '') };
+    }
+  }
+};
+
+async function loadFixture(baseUrl, fixture) {
+  const name = (fixture || '').trim();
+  if (!/^[\w.-]+$/.test(name)) throw new ProviderError(`Invalid fixture name "${name}"`, 'BAD_REQUEST');
+
+  const url = new URL(`/fixtures/transcribe/${name}.json`, baseUrl).toString();
+  const r = await fetch(url);
+  if (!r.ok) throw new ProviderError(`No mock fixture "${name}"`, 'BAD_REQUEST');
+  return { name, body: await r.json() };
+}
@@ -0,0 +1,133 @@
+// api/_providers/openai.js
+// OpenAI transcription (1-best); conversation mode uses the diarizing model and
+// language=auto whisper-1, the model that reports the language it heard.
+import { errString, fetchUpstream } from '../_lib/http.js';
+import { ProviderError, upstreamError } from '../_lib/errors.js';
+import { normalizeCandidates } from '../_lib/candidates.js';
+import { phrasePrompt } from '../_lib/phrases.js';
+
+export default {
+  name: 'openai',
+  mimeTypes: ['audio/wav', 'audio/x-wav', 'audio/webm', 'audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/flac'],
+  nBest: false,
+  anySampleRate: true,
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  },
+
+  async transcribe(blob, language, { phrases = [] } = {}) {
+    const key = process.env.OPENAI_API_KEY;
+    if (!key) throw new ProviderError('OPENAI_API_KEY missing', 'PROVIDER_AUTH');
+
+    const fd = new FormData();
+    fd.append('file', blob, fileName(blob.type));
+    fd.append('language', toWhisperLang(language));   // force language for Whisper
+    fd.append('model', 'gpt-4o-transcribe');
+    // phrase hints: the prompt steers spelling of domain words
+    if (phrases.length) fd.append('prompt', `Vocabulary: ${phrasePrompt(phrases)}.`);
+
+    const { ok, status, body, retryAfter } = await fetchUpstream('https://api.openai.com/v1/audio/transcriptions', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${key}` },
+      body: fd
+    }, { label: 'OpenAI' });
+
+    if (!ok) throw upstreamError('OpenAI', status, errString(body, 'OpenAI error'), retryAfter);
+
+    // Normalize candidates (strip trailing punctuation if single token)
+    return { candidates: normalizeCandidates([(body?.text || '').trim()]) };
+  },
+
+  // language=auto: whisper-1 verbose_json names the language it heard ("japanese"); confidence
+  // is the duration-weighted segment probability (exp avg_logprob, less the no-speech probability).
+  // A language outside the candidates -> null, so the caller scores the candidates instead.
+  async identifyLanguage(blob, languages) {
+    const key = process.env.OPENAI_API_KEY;
+    if (!key) throw new ProviderError('OPENAI_API_KEY missing', 'PROVIDER_AUTH');
+
+    const fd = new FormData();
+    fd.append('file', blob, fileName(blob.type));
+    fd.append('model', 'whisper-1');
+    fd.append('response_format', 'verbose_json');
+
+    const { ok, status, body, retryAfter } = await fetchUpstream('https://api.openai.com/v1/audio/transcriptions', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${key}` },
+      body: fd
+    }, { label: 'OpenAI' });
+
+    if (!ok) throw upstreamError('OpenAI', status, errString(body, 'OpenAI error'), retryAfter);
+
+    const heard = (body?.language || '').toString().toLowerCase();
+    const code = WHISPER_LANGUAGES[heard] || heard;
+    // zh-CN / zh-TW both match "chinese": the first one listed wins
+    const language = languages.find(l => l.split('-')[0].toLowerCase() === code);
+    if (!language || !(body?.text || '').trim()) return null;
+
+    let ms = 0, weighted = 0;
+    for (const s of Array.isArray(body.segments) ? body.segments : []) {
+      const d = Math.max(0, (Number(s.end) || 0) - (Number(s.start) || 0)) || 1;
+      ms += d;
+      weighted += d * Math.exp(Number(s.avg_logprob) || 0) * (1 - (Number(s.no_speech_prob) || 0));
+    }
+    return { language, confidence: ms ? Math.round(weighted / ms * 1000) / 1000 : null };
+  },
+
+  // Conversation mode: diarized_json gives speaker-labelled segments with times in seconds
+  async diarize(blob, language) {
+    const key = process.env.OPENAI_API_KEY;
+    if (!key) throw new ProviderError('OPENAI_API_KEY missing', 'PROVIDER_AUTH');
+
+    const fd = new FormData();
+    fd.append('file', blob, fileName(blob.type));
+    fd.append('language', toWhisperLang(language));
+    fd.append('model', 'gpt-4o-transcribe-diarize');
+    fd.append('response_format', 'diarized_json');
+    fd.append('chunking_strategy', 'auto');
+
+    const { ok, status, body, retryAfter } = await fetchUpstream('https://api.openai.com/v1/audio/transcriptions', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${key}` },
+      body: fd
+    }, { label: 'OpenAI' });
+
+    if (!ok) throw upstreamError('OpenAI', status, errString(body, 'OpenAI error'), retryAfter);
+
+    const segments = (Array.isArray(body?.segments) ? body.segments : []).map(s => ({
+      startMs: Math.round((Number(s.start) || 0) * 1000),
+      endMs: Math.round((Number(s.end) || 0) * 1000),
+      speaker: s.speaker ?? null,
+      text: (s.text || '').toString()
+    }));
+    return { segments, meta: { model: 'gpt-4o-transcribe-diarize' } };
+  }
+};
+
+function fileName(type) {
+  const t = type || '';
+  return t.includes('wav')  ? 'speech.wav' :
+    t.includes('ogg')  ? 'speech.ogg' :
+    t.includes('webm') ? 'speech.webm' :
+    t.includes('flac') ? 'speech.flac' :
+    t.includes('mpeg') ? 'speech.mp3' :
+    t.includes('mp4')  ? 'speech.m4a' : 'audio.bin';
+}
+
+// Language names whisper-1 reports -> ISO-639-1
+const WHISPER_LANGUAGES = {
+  english: 'en', chinese: 'zh', japanese: 'ja', korean: 'ko', spanish: 'es', french: 'fr',
+  german: 'de', italian: 'it', portuguese: 'pt', russian: 'ru', dutch: 'nl', arabic: 'ar',
+  hindi: 'hi', vietnamese: 'vi', thai: 'th', indonesian: 'id', turkish: 'tr', polish: 'pl',
+  cantonese: 'yue'
+};
+
+// Map BCP-47 to Whisper’s expected ISO-639
+function toWhisperLang(bcp47) {
+  const map = {
+    'zh-CN': 'zh', 'zh-TW': 'zh',
+    'ja-JP': 'ja', 'ko-KR': 'ko',
+    'en-US': 'en', 'es-ES': 'es'
+  };
+  return map[bcp47] || bcp47.split('-')[0];
+}
@@ -2,14 +2,15 @@
 export const config = { runtime: 'nodejs' };
 
 import wtnMod from 'words-to-numbers';
-import ntwMod from 'number-to-words';
+import { findNumberSpans, formsFor, numberWordsAvailable } from './_lib/en-numbers.js';
+import { findZhNumberSpans } from './_lib/zh-numbers.js';
+import { statusFor } from './_lib/errors.js';
 
 const wordsToNumbers = typeof wtnMod === 'function' ? wtnMod : wtnMod?.wordsToNumbers;
-const toWords        = typeof ntwMod === 'function' ? ntwMod : ntwMod?.toWords;
 
 function assertDeps() {
   if (typeof wordsToNumbers !== 'function') throw new Error('words-to-numbers import failed');
-  if (typeof toWords !== 'function') throw new Error('number-to-words import failed');
+  if (!numberWordsAvailable()) throw new Error('number-to-words import failed');
 }
 
 // Remove quotes and trailing sentence punctuation
@@ -51,9 +52,18 @@ function containsNumberWords(text) {
 
 function withinRange(n) {
   // clamp to a reasonable range to avoid scientific notation & absurd values
-  return Number.isSafeInteger(n) && n >= 0 && n <= 999_999_999;
+  return Number.isSafeInteger(n) && n >= 0 && n <= 999_999_999_999;
 }
 
+// Query: text, lang (BCP-47, default English; zh-* parses Chinese numerals,
+//   zh-TW/zh-HK list Traditional forms first)
+// Response:
+//   type/value/forms/alternatives – when the whole text is one number span
+//     English: cardinal | ordinal | decimal | negative | currency | year | date | time
+//     Chinese: cardinal | ordinal | decimal | negative | percent | year | digits
+//   digitForm/wordForm – its written and first spoken form (kept for older callers)
+//   spans – every number span found in the text: [{ text, start, end, type, value, forms, alternatives }]
+//     start/end index into the `text` parameter as sent
 export default async function handler(req, res) {
   try {
     assertDeps();
@@ -62,28 +72,31 @@ export default async function handler(req, res) {
     const url = new URL(req.url || '/', origin);
     const raw0 = (url.searchParams.get('text') || '');
     const raw  = stripEnds(raw0);
+    const lang = (url.searchParams.get('lang') || 'en').toLowerCase();
+    const zh   = lang.split('-')[0] === 'zh';
 
-    let digitForm = null;
-    let wordForm  = null;
+    const out = { digitForm: null, wordForm: null, type: null, value: null, forms: [], alternatives: [], spans: [] };
 
     // empty -> nothing to do
-    if (!raw) {
-      res.setHeader('content-type', 'application/json');
-      return res.status(200).send(JSON.stringify({ digitForm, wordForm }));
+    if (!raw) return sendJson(res, out);
+
+    out.spans = zh
+      ? findZhNumberSpans(raw0, { traditional: /^zh-(tw|hk|mo|hant)/.test(lang) })
+      : findNumberSpans(raw0);
+
+    // A) the whole text is a single number (handles "144." thanks to stripEnds)
+    const whole = out.spans.length === 1 && out.spans[0].text === raw ? out.spans[0] : null;
+    if (whole) {
+      Object.assign(out, { type: whole.type, value: whole.value, forms: whole.forms, alternatives: whole.alternatives });
+      if (whole.type === 'cardinal' && !withinRange(whole.value)) return sendJson(res, out);
+      out.digitForm = whole.forms[0];
+      out.wordForm  = whole.forms.find(f => !/\d/.test(f)) || null;
+      return sendJson(res, out);
     }
 
-    // A) digits -> words (handles "144." thanks to stripEnds)
-    if (/^\d+$/.test(raw)) {
-      const n = parseInt(raw, 10);
-      if (withinRange(n)) {
-        digitForm = String(n);
-        try { wordForm = toWords(n).replace(/,/g, ''); } catch { wordForm = null; }
-      }
-      res.setHeader('content-type', 'application/json');
-      return res.status(200).send(JSON.stringify({ digitForm, wordForm }));
-    }
+    if (zh) return sendJson(res, out);
 
-    // B) words -> digits (only if it contains legit number words)
+    // B) fuzzy words -> digits for near-misses the span parser doesn't know ("fourty two")
     const text = normalizeForWords(raw);
     if (containsNumberWords(text)) {
       const converted = wordsToNumbers(text, { fuzzy: true });
@@ -92,19 +105,23 @@ export default async function handler(req, res) {
         : (/^\d+$/.test(String(converted)) ? parseInt(String(converted), 10) : null);
 
       if (maybe !== null && withinRange(maybe)) {
-        digitForm = String(maybe);
-        try { wordForm = toWords(maybe).replace(/,/g, ''); } catch { wordForm = null; }
+        const forms = formsFor('cardinal', maybe);
+        Object.assign(out, { type: 'cardinal', value: maybe, forms, digitForm: forms[0], wordForm: forms[forms.length - 1] });
       }
     }
 
-    res.setHeader('content-type', 'application/json');
-    return res.status(200).send(JSON.stringify({ digitForm, wordForm }));
+    return sendJson(res, out);
   } catch (err) {
-    res.setHeader('content-type', 'application/json');
-    return res.status(200).send(JSON.stringify({
+    return sendJson(res, {
       digitForm: null,
       wordForm: null,
-      error: String(err?.message || err)
-    }));
+      error: String(err?.message || err),
+      code: 'INTERNAL'
+    }, statusFor('INTERNAL'));
   }
 }
+
+function sendJson(res, obj, status = 200) {
+  res.setHeader('content-type', 'application/json');
+  return res.status(status).send(JSON.stringify(obj));
+}
@@ -0,0 +1,241 @@
+// api/transcribe-batch.js
+// Evaluation runs: many clips through the same pipeline as /api/transcribe.
+//
+// Form fields:
+//   audio        – repeated audio parts, and/or ZIP archives of audio files
+//   expected     – optional, repeated in the same order as the audio parts
+//   manifest     – optional JSON ({ "file.wav": "expected" } or [{ file, expected }]) or CSV (file,expected)
+//   language, languages, provider, tone, fixture, members, phrases, corrections – as for /api/transcribe
+//   concurrency  – clips in flight at once (default 4, max 8)
+//   offset, limit – the page of clips to run (default 0 and 50, max 50); see below
+//   format       – json (default) | csv
+// An upload may hold up to 1000 clips; each request runs one page of them, so a long run is
+// re-posted with summary.nextOffset until it is null. A page runs only as many clips as the
+// client's `batch` rate-limit bucket holds tokens for (one per provider call: every ensemble
+// member, every candidate language with language=auto); the rest wait for the next page, and
+// Retry-After says when to send it.
+// Inside a ZIP, expected transcripts come from manifest.json / manifest.csv / expected.csv
+// or a <name>.txt next to each clip.
+export const config = { runtime: 'edge' };
+
+import { json, jsonError, corsHeaders } from './_lib/http.js';
+import { getProvider, providerNames } from './_providers/index.js';
+import { TONE_MODES } from './_lib/zh-homophones.js';
+import { transcribeClip, providerCalls } from './_lib/pipeline.js';
+import { isZip, readZip } from './_lib/zip.js';
+import { scoreResult, aggregate, toCsv } from './_lib/scoring.js';
+import { parsePhrases } from './_lib/phrases.js';
+import { parseCorrections } from './_lib/corrections.js';
+import { mapLimit } from './_lib/concurrency.js';
+import { AUTO, parseLanguages } from './_lib/language-id.js';
+import { clientId, takeUpTo } from './_lib/rate-limit.js';
+
+const MAX_CLIPS = 1000;
+const PAGE_SIZE = 50; // keeps a request inside the edge function time limit
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 8;
+const AUDIO_EXT_RE = /\.(wav|ogg|oga|opus|webm|mp3|flac|m4a|mp4)$/i;
+const MANIFEST_RE = /(^|\/)(manifest\.json|manifest\.csv|expected\.csv)$/i;
+
+export default async function handler(request) {
+  try {
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: corsHeaders() });
+    }
+    if (request.method !== 'POST') {
+      return jsonError('METHOD_NOT_ALLOWED', 'POST only');
+    }
+
+    const form = await request.formData();
+    const language = (form.get('language') || 'en-US').toString();
+    const providerName = (form.get('provider') || 'azure').toString().toLowerCase();
+    const toneMode = (form.get('tone') || 'toneless').toString().toLowerCase();
+    const fixture = (form.get('fixture') || '').toString();
+    const members = (form.get('members') || '').toString();
+    const format = (form.get('format') || 'json').toString().toLowerCase();
+    const concurrency = Math.min(MAX_CONCURRENCY,
+      Math.max(1, Number.parseInt((form.get('concurrency') || '').toString(), 10) || DEFAULT_CONCURRENCY));
+    const offset = Math.max(0, Number.parseInt((form.get('offset') || '').toString(), 10) || 0);
+    const limit = Math.min(PAGE_SIZE, Math.max(1, Number.parseInt((form.get('limit') || '').toString(), 10) || PAGE_SIZE));
+
+    const provider = getProvider(providerName);
+    if (!provider) {
+      return jsonError('BAD_REQUEST', `Unknown provider "${providerName}". Expected one of: ${providerNames().join(', ')}`);
+    }
+    if (!TONE_MODES.includes(toneMode)) {
+      return jsonError('BAD_REQUEST', `Unknown tone mode "${toneMode}". Expected one of: ${TONE_MODES.join(', ')}`);
+    }
+    if (format !== 'json' && format !== 'csv') {
+      return jsonError('BAD_REQUEST', `Unknown format "${format}". Expected json or csv`);
+    }
+
+    let clips, phrases, corrections, languages;
+    try {
+      phrases = parsePhrases(form.get('phrases'));
+      corrections = parseCorrections(form.get('corrections'));
+      languages = language === AUTO ? parseLanguages(form.get('languages')) : undefined;
+      clips = await collectClips(form);
+    } catch (err) {
+      return jsonError('BAD_REQUEST', String(err?.message || err));
+    }
+    if (clips.length === 0) return jsonError('NO_AUDIO', 'No audio uploaded');
+    if (clips.length > MAX_CLIPS) return jsonError('PAYLOAD_TOO_LARGE', `Too many clips (${clips.length}); max ${MAX_CLIPS} per upload`);
+    if (offset >= clips.length) return jsonError('BAD_REQUEST', `offset ${offset} is past the last clip (${clips.length} clips)`);
+
+    // As many clips of this page as the batch bucket holds tokens for
+    const wanted = Math.min(limit, clips.length - offset);
+    const grant = takeUpTo(clientId(request), { each: providerCalls(provider, { language, languages, members }), max: wanted, kind: 'batch' });
+    const limitHeaders = grant.count < wanted ? { 'Retry-After': String(grant.retryAfter) } : {};
+    if (grant.count === 0) {
+      return jsonError('RATE_LIMITED', `Too many requests; retry in ${grant.retryAfter}s`,
+        { retryAfter: grant.retryAfter, nextOffset: offset }, limitHeaders);
+    }
+    const page = clips.slice(offset, offset + grant.count);
+    const next = offset + page.length;
+
+    const items = await mapLimit(page, concurrency, async (clip, i) => {
+      let status, body;
+      try {
+        ({ status, body } = await transcribeClip(clip.blob, {
+          provider, language, languages, toneMode, baseUrl: request.url, fixture, members, phrases, corrections, expected: clip.expected || ''
+        }));
+      } catch (err) {
+        status = 500;
+        body = { error: String(err?.message || err), code: 'INTERNAL', candidates: [] };
+      }
+      const candidates = (body.candidates || []).map(c => (typeof c === 'string' ? c : c?.text || ''));
+      const error = status !== 200 || !candidates.length ? (body.error || `HTTP ${status}`) : null;
+      const code = error ? body.code || (status === 200 ? 'NO_SPEECH' : 'INTERNAL') : null;
+      // nothing recognized is a miss; any other error leaves the clip unscored
+      const miss = code === 'NO_SPEECH';
+      return {
+        index: offset + i,
+        name: clip.name,
+        expected: clip.expected,
+        status,
+        error,
+        code,
+        failed: !!error && !miss,
+        candidates,
+        detectedLanguage: body.languageId?.language ?? null,
+        ...scoreResult(body, clip.expected),
+        errorRate: body.evaluation?.candidates[0]?.errorRate ?? (miss && clip.expected ? 1 : null),
+        audio: body.audio ? { container: body.audio.container, durationMs: body.audio.durationMs ?? null } : null,
+        result: body
+      };
+    });
+
+    const summary = {
+      provider: provider.name, language, toneMode,
+      clips: clips.length, offset, nextOffset: next < clips.length ? next : null,
+      ...aggregate(items)
+    };
+
+    if (format === 'csv') {
+      return new Response(toCsv(csvRows(items, summary)), {
+        status: 200,
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="batch-${provider.name}-${language}.csv"`,
+          ...limitHeaders,
+          ...corsHeaders()
+        }
+      });
+    }
+    return json({ summary, items }, 200, limitHeaders);
+  } catch (err) {
+    return jsonError('INTERNAL', String(err?.message || err));
+  }
+}
+
+// -> [{ name, blob, expected }] in upload order (ZIP entries sorted by name)
+async function collectClips(form) {
+  const parts = form.getAll('audio').filter(p => typeof p?.arrayBuffer === 'function');
+  const expectedList = form.getAll('expected').map(v => v.toString());
+  const manifest = parseManifest((form.get('manifest') || '').toString());
+
+  const clips = [];
+  let partIndex = 0;
+  for (const part of parts) {
+    const bytes = new Uint8Array(await part.arrayBuffer());
+    if (isZip(bytes)) {
+      clips.push(...await clipsFromZip(bytes, manifest));
+      continue;
+    }
+    const name = part.name || `clip-${clips.length + 1}`;
+    const expected = expectedList[partIndex] ?? lookupExpected(manifest, name);
+    partIndex++;
+    clips.push({ name, blob: new Blob([bytes], { type: part.type || '' }), expected: expected || null });
+  }
+  return clips;
+}
+
+async function clipsFromZip(bytes, outerManifest) {
+  let entries;
+  try {
+    entries = await readZip(bytes);
+  } catch (err) {
+    throw new Error(`Bad ZIP upload: ${err.message}`);
+  }
+  const decoder = new TextDecoder();
+  const manifest = new Map(outerManifest);
+  for (const e of entries.filter(e => MANIFEST_RE.test(e.name))) {
+    for (const [k, v] of parseManifest(decoder.decode(e.data))) manifest.set(k, v);
+  }
+  const sidecars = new Map(entries
+    .filter(e => /\.txt$/i.test(e.name))
+    .map(e => [e.name.replace(/\.txt$/i, ''), decoder.decode(e.data).trim()]));
+
+  return entries
+    .filter(e => AUDIO_EXT_RE.test(e.name) && !/(^|\/)(__MACOSX|\.)/.test(e.name))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(e => ({
+      name: e.name,
+      // no declared type: the pipeline sniffs the real format
+      blob: new Blob([e.data]),
+      expected: sidecars.get(e.name.replace(AUDIO_EXT_RE, '')) ?? lookupExpected(manifest, e.name) ?? null
+    }));
+}
+
+// JSON object/array or "file,expected" CSV -> Map(file -> expected)
+function parseManifest(text) {
+  const map = new Map();
+  const t = (text || '').trim();
+  if (!t) return map;
+  if (t.startsWith('{') || t.startsWith('[')) {
+    const obj = JSON.parse(t);
+    if (Array.isArray(obj)) obj.forEach(r => r && r.file && map.set(String(r.file), String(r.expected ?? '')));
+    else Object.entries(obj).forEach(([k, v]) => map.set(k, String(v ?? '')));
+    return map;
+  }
+  for (const line of t.split(/\r?\n/)) {
+    const m = line.match(/^\s*("?)(.*?)\1\s*,\s*("?)(.*?)\3\s*$/);
+    if (!m || /^file(name)?$/i.test(m[2])) continue;
+    map.set(m[2], m[4]);
+  }
+  return map;
+}
+
+// Manifest keys may be full ZIP paths or bare file names
+function lookupExpected(manifest, name) {
+  if (manifest.has(name)) return manifest.get(name);
+  const base = name.split('/').pop();
+  return manifest.has(base) ? manifest.get(base) : undefined;
+}
+
+function csvRows(items, summary) {
+  const rows = [[
+    'index', 'name', 'expected', 'top1', 'candidates', 'hit_rank',
+    'top1_correct', 'topn_hit', 'homophone_hit', 'error_rate', 'detected_language', 'status', 'code', 'error'
+  ]];
+  for (const it of items) {
+    rows.push([
+      it.index, it.name, it.expected, it.top1, it.candidates.join(' | '), it.hitRank,
+      it.top1Correct, it.topNHit, it.homophoneHit, it.errorRate, it.detectedLanguage, it.status, it.code, it.error
+    ]);
+  }
+  rows.push([]);
+  rows.push(['metric', 'value']);
+  for (const [k, v] of Object.entries(summary)) rows.push([k, v]);
+  return rows;
+}
@@ -0,0 +1,70 @@
+// api/transcribe-conversation.js
+// Conversation mode: one longer recording (up to 5 minutes) -> speaker-labelled,
+// timestamped segments (see _lib/conversation.js for the body).
+//
+// Form fields:
+//   audio        – the recording (WAV for local segmentation; other formats need a provider with diarization)
+//   language, provider, fixture, members, phrases – as for /api/transcribe
+//   speakers     – optional number of speakers (2–6); default: decided from the audio
+export const config = { runtime: 'edge' };
+
+import { json, jsonError, corsHeaders } from './_lib/http.js';
+import { getProvider, providerNames } from './_providers/index.js';
+import { AUTO } from './_lib/language-id.js';
+import { transcribeConversation } from './_lib/conversation.js';
+import { parsePhrases } from './_lib/phrases.js';
+import { clientId, takeToken } from './_lib/rate-limit.js';
+
+const MAX_SPEAKERS = 6;
+
+export default async function handler(request) {
+  try {
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: corsHeaders() });
+    }
+    if (request.method !== 'POST') {
+      return jsonError('METHOD_NOT_ALLOWED', 'POST only');
+    }
+
+    const form = await request.formData();
+    const file = form.get('audio');
+    const language = (form.get('language') || 'en-US').toString();
+    const providerName = (form.get('provider') || 'azure').toString().toLowerCase();
+    const fixture = (form.get('fixture') || '').toString();
+    const members = (form.get('members') || '').toString();
+    const speakersRaw = (form.get('speakers') || '').toString().trim();
+    const speakers = speakersRaw && speakersRaw !== 'auto' ? Number.parseInt(speakersRaw, 10) : 0;
+
+    let phrases;
+    try {
+      phrases = parsePhrases(form.get('phrases'));
+    } catch (err) {
+      return jsonError('BAD_REQUEST', err.message);
+    }
+    if (!Number.isInteger(speakers) || speakers < 0 || speakers === 1 || speakers > MAX_SPEAKERS) {
+      return jsonError('BAD_REQUEST', `speakers must be auto or 2–${MAX_SPEAKERS}`);
+    }
+
+    if (language === AUTO) {
+      return jsonError('BAD_REQUEST', 'language=auto is only supported by /api/transcribe and /api/transcribe-batch');
+    }
+    const provider = getProvider(providerName);
+    if (!provider) {
+      return jsonError('BAD_REQUEST', `Unknown provider "${providerName}". Expected one of: ${providerNames().join(', ')}`);
+    }
+    if (!file || typeof file.arrayBuffer !== 'function') {
+      return jsonError('NO_AUDIO', 'No audio uploaded');
+    }
+
+    // one token per provider call: the diarization call, or every segment of the local path
+    const client = clientId(request);
+    const { status, body } = await transcribeConversation(file, {
+      provider, language, baseUrl: request.url, fixture, members, phrases, speakers,
+      charge: cost => takeToken(client, { cost })
+    });
+    const headers = body.retryAfter != null ? { 'Retry-After': String(body.retryAfter) } : {};
+    return json(body, status, headers);
+  } catch (err) {
+    return jsonError('INTERNAL', String(err?.message || err));
+  }
+}
@@ -0,0 +1,103 @@
+// api/transcribe-stream.js
+// Continuous mode: the client posts the open segment (WAV so far) every chunk
+// while recording, with final=1 once it hears a pause. Each POST answers with
+// server-sent events:
+//   event: partial  data: { segment, text }
+//   event: final    data: { segment, text, candidates, details }
+//   event: error    data: { segment, error, code, status }
+//   event: end      data: { segment }
+// Each POST is one provider call on all the audio it carries, so it takes one token from the
+// client's `stream` bucket (see _lib/rate-limit.js) per started STREAM_TOKEN_MS of audio; over
+// the limit it is answered 429 RATE_LIMITED.
+export const config = { runtime: 'edge' };
+
+import { json, jsonError, corsHeaders } from './_lib/http.js';
+import { ProviderError, AudioFormatError, statusFor } from './_lib/errors.js';
+import { inspectAudio } from './_lib/audio-format.js';
+import { getProvider, providerNames, acceptsMime } from './_providers/index.js';
+import { AUTO } from './_lib/language-id.js';
+import { clientId, takeToken } from './_lib/rate-limit.js';
+
+const STREAM_TOKEN_MS = 5000;
+const UNKNOWN_DURATION_MS = 15000; // non-WAV posts are charged as a full client segment
+
+export default async function handler(request) {
+  try {
+    if (request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers: corsHeaders() });
+    }
+    if (request.method !== 'POST') {
+      return jsonError('METHOD_NOT_ALLOWED', 'POST only');
+    }
+
+    const form = await request.formData();
+    const file = form.get('audio');
+    const language = (form.get('language') || 'en-US').toString();
+    const providerName = (form.get('provider') || 'azure').toString().toLowerCase();
+    const fixture = (form.get('fixture') || '').toString();
+    const segment = Number.parseInt((form.get('segment') || '0').toString(), 10) || 0;
+    const final = (form.get('final') || '').toString() === '1';
+
+    if (language === AUTO) {
+      return jsonError('BAD_REQUEST', 'language=auto is only supported by /api/transcribe and /api/transcribe-batch');
+    }
+    const provider = getProvider(providerName);
+    if (!provider) {
+      return jsonError('BAD_REQUEST', `Unknown provider "${providerName}". Expected one of: ${providerNames().join(', ')}`);
+    }
+    if (typeof provider.stream !== 'function') {
+      const streaming = providerNames().filter(n => typeof getProvider(n).stream === 'function');
+      return jsonError('BAD_REQUEST', `${provider.name} does not support continuous mode. Use one of: ${streaming.join(', ')}`);
+    }
+
+    if (!file || typeof file.arrayBuffer !== 'function' || !file.size) {
+      return jsonError('NO_AUDIO', 'No audio uploaded');
+    }
+    let inspected;
+    try {
+      inspected = await inspectAudio(file, { keepRate: !!provider.anySampleRate });
+    } catch (err) {
+      if (err instanceof AudioFormatError) return jsonError(err.code, err.message);
+      throw err;
+    }
+    const { blob, audio } = inspected;
+    if (!acceptsMime(provider, audio.mime)) {
+      return jsonError('UNSUPPORTED_FORMAT', `${provider.name} does not accept ${audio.mime}`);
+    }
+    const cost = Math.max(1, Math.ceil((audio.durationMs ?? UNKNOWN_DURATION_MS) / STREAM_TOKEN_MS));
+    const limit = takeToken(clientId(request), { cost, kind: 'stream' });
+    if (!limit.ok) {
+      return jsonError('RATE_LIMITED', `Too many requests; retry in ${limit.retryAfter}s`,
+        { segment, retryAfter: limit.retryAfter }, { 'Retry-After': String(limit.retryAfter) });
+    }
+
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      async start(controller) {
+        const send = (event, data) =>
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify({ segment, ...data })}\n\n`));
+        try {
+          for await (const ev of provider.stream(blob, language, { baseUrl: request.url, fixture, final, audio })) {
+            send(ev.type, ev);
+          }
+        } catch (err) {
+          const code = err instanceof ProviderError ? err.code : 'INTERNAL';
+          send('error', { error: String(err?.message || err), code, status: statusFor(code) });
+        }
+        send('end', {});
+        controller.close();
+      }
+    });
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        ...corsHeaders()
+      }
+    });
+  } catch (err) {
+    return jsonError('INTERNAL', String(err?.message || err));
+  }
+}
@@ -0,0 +1,245 @@
+// public/js/audio-capture.js
+// Microphone capture at a fixed output rate (16 kHz mono by default).
+// The AudioContext runs at whatever rate the browser picks; frames are downmixed
+// in an AudioWorklet (capture-worklet.js), or a ScriptProcessor where AudioWorklet
+// is missing, then low-pass filtered and resampled here.
+console.log('audio-capture loaded');
+
+const CAPTURE_RATE = 16000;
+const CAPTURE_WORKLET_URL = '/js/capture-worklet.js';
+
+/* ---------- resampling ---------- */
+
+function sinc(x) {
+  return x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+}
+
+// Streaming windowed-sinc resampler. The kernel's cutoff sits just under the
+// lower of the two Nyquist rates, so downsampling 48 kHz -> 16 kHz doesn't alias.
+function createResampler(inRate, outRate, { halfTaps = 16 } = {}) {
+  if (inRate === outRate) return { process: x => x, flush: () => new Float32Array(0) };
+
+  const step = inRate / outRate;                   // input samples per output sample
+  const cutoff = Math.min(1, outRate / inRate) * 0.92;
+  const width = Math.ceil(halfTaps / cutoff);      // kernel half-width in input samples
+  let buf = new Float32Array(0);
+  let t = 0;                                       // next output position, in buf samples
+
+  function kernel(x) {
+    const u = x / width;
+    const blackman = 0.42 + 0.5 * Math.cos(Math.PI * u) + 0.08 * Math.cos(2 * Math.PI * u);
+    return cutoff * sinc(cutoff * x) * blackman;
+  }
+
+  function process(input) {
+    const joined = new Float32Array(buf.length + input.length);
+    joined.set(buf);
+    joined.set(input, buf.length);
+    buf = joined;
+
+    const out = [];
+    while (t + width < buf.length) {
+      let sum = 0;
+      const lo = Math.max(0, Math.ceil(t - width)), hi = Math.floor(t + width);
+      for (let i = lo; i <= hi; i++) sum += buf[i] * kernel(i - t);
+      out.push(sum);
+      t += step;
+    }
+    // keep only the history the next outputs still need
+    const drop = Math.max(0, Math.floor(t - width));
+    buf = buf.slice(drop);
+    t -= drop;
+    return Float32Array.from(out);
+  }
+
+  return {
+    process,
+    flush: () => process(new Float32Array(width + 1))
+  };
+}
+
+/* ---------- WAV ---------- */
+
+function floatTo16BitPCM(float32) {
+  const out = new Int16Array(float32.length);
+  for (let i = 0; i < float32.length; i++) {
+    let s = Math.max(-1, Math.min(1, float32[i]));
+    out[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+  }
+  return out;
+}
+
+// Mono PCM16 WAV; sampleRate must be the rate the samples really are at
+function encodeWavPCM16(monoSamples, sampleRate) {
+  const numChannels = 1;
+  const bytesPerSample = 2;
+  const blockAlign = numChannels * bytesPerSample;
+  const byteRate = sampleRate * blockAlign;
+  const dataSize = monoSamples.length * bytesPerSample;
+
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  let offset = 0;
+  function writeString(s) { for (let i = 0; i < s.length; i++) view.setUint8(offset++, s.charCodeAt(i)); }
+
+  // RIFF header
+  writeString('RIFF');
+  view.setUint32(offset, 36 + dataSize, true); offset += 4;
+  writeString('WAVE');
+
+  // fmt chunk
+  writeString('fmt ');
+  view.setUint32(offset, 16, true); offset += 4;       // PCM chunk size
+  view.setUint16(offset, 1, true);  offset += 2;       // PCM format (1)
+  view.setUint16(offset, numChannels, true); offset += 2;
+  view.setUint32(offset, sampleRate, true); offset += 4;
+  view.setUint32(offset, byteRate, true); offset += 4;
+  view.setUint16(offset, blockAlign, true); offset += 2;
+  view.setUint16(offset, 16, true); offset += 2;       // bits per sample
+
+  // data chunk
+  writeString('data');
+  view.setUint32(offset, dataSize, true); offset += 4;
+
+  // PCM samples
+  const pcm16 = floatTo16BitPCM(monoSamples);
+  for (let i = 0; i < pcm16.length; i++, offset += 2) {
+    view.setInt16(offset, pcm16[i], true);
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
+
+// Any audio the browser can decode -> mono WAV at sampleRate (WAV is passed through; the server converts it)
+async function decodeToWav(blob, sampleRate = CAPTURE_RATE) {
+  const type = (blob.type || '').toLowerCase();
+  if (type.includes('wav') || /\.wav$/i.test(blob.name || '')) return blob;
+
+  const ctx = new (window.AudioContext || window.webkitAudioContext)();
+  let decoded;
+  try {
+    decoded = await ctx.decodeAudioData(await blob.arrayBuffer());
+  } catch {
+    throw new Error(`This browser can't decode ${blob.name ? `"${blob.name}"` : 'the clip'}. Upload WAV instead.`);
+  } finally {
+    ctx.close();
+  }
+  const frames = Math.ceil(decoded.duration * sampleRate);
+  const offline = new OfflineAudioContext(1, frames, sampleRate);
+  const src = offline.createBufferSource();
+  src.buffer = decoded;
+  src.connect(offline.destination); // channels are downmixed to the mono destination
+  src.start();
+  const rendered = await offline.startRendering();
+  const wav = encodeWavPCM16(rendered.getChannelData(0), sampleRate);
+  return new File([wav], (blob.name || 'clip').replace(/\.[^.]*$/, '') + '.wav', { type: 'audio/wav' });
+}
+
+function concatFloat32(parts) {
+  const out = new Float32Array(parts.reduce((a, b) => a + b.length, 0));
+  let off = 0;
+  for (const p of parts) { out.set(p, off); off += p.length; }
+  return out;
+}
+
+/* ---------- capture ---------- */
+
+// opts: { sampleRate = 16000, keep = true, onFrame?(samples, sampleRate) }
+// start() opens the mic; pause()/resume() stop and restart frames without releasing it;
+// stop() releases it and resolves to every kept frame joined (Float32Array at sampleRate).
+// `inputRate` is the rate the browser actually captured at.
+function createCapture(opts = {}) {
+  const sampleRate = opts.sampleRate || CAPTURE_RATE;
+  const keep = opts.keep !== false;
+  let stream = null, ctx = null, source = null, node = null, resampler = null;
+  let frames = [], paused = false;
+
+  function onInput(samples) {
+    if (paused) return;
+    const out = resampler.process(samples);
+    if (out.length === 0) return;
+    if (keep) frames.push(out);
+    if (opts.onFrame) opts.onFrame(out, sampleRate);
+  }
+
+  async function start() {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    ctx = new (window.AudioContext || window.webkitAudioContext)();
+    resampler = createResampler(ctx.sampleRate, sampleRate);
+    source = ctx.createMediaStreamSource(stream);
+    frames = [];
+    paused = false;
+
+    if (ctx.audioWorklet && typeof AudioWorkletNode === 'function') {
+      await ctx.audioWorklet.addModule(CAPTURE_WORKLET_URL);
+      node = new AudioWorkletNode(ctx, 'capture-processor', { numberOfOutputs: 1 });
+      node.port.onmessage = (e) => { if (e.data instanceof Float32Array) onInput(e.data); };
+    } else {
+      // fallback for browsers without AudioWorklet
+      const channels = source.channelCount || 1;
+      node = ctx.createScriptProcessor(4096, channels, 1);
+      node.onaudioprocess = (e) => {
+        const n = e.inputBuffer.numberOfChannels;
+        const mono = new Float32Array(e.inputBuffer.length);
+        for (let c = 0; c < n; c++) {
+          const ch = e.inputBuffer.getChannelData(c);
+          for (let i = 0; i < mono.length; i++) mono[i] += ch[i] / n;
+        }
+        onInput(mono);
+      };
+    }
+    source.connect(node);
+    node.connect(ctx.destination); // outputs silence; keeps the node pulled in every browser
+  }
+
+  // ask the worklet for its partial batch so the tail of the clip isn't lost
+  function drainWorklet() {
+    if (!node?.port) return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, 200);
+      const prev = node.port.onmessage;
+      node.port.onmessage = (e) => {
+        if (e.data === 'flushed') { clearTimeout(timer); resolve(); } else prev(e);
+      };
+      node.port.postMessage('flush');
+    });
+  }
+
+  async function stop() {
+    if (!ctx) return new Float32Array(0);
+    paused = false;
+    await drainWorklet();
+    const tail = resampler.flush();
+    if (tail.length) {
+      if (keep) frames.push(tail);
+      if (opts.onFrame) opts.onFrame(tail, sampleRate);
+    }
+    try { source.disconnect(); node.disconnect(); } catch {}
+    if (node.port) node.port.onmessage = null; else node.onaudioprocess = null;
+    stream.getTracks().forEach(t => t.stop());
+    await ctx.close();
+    const all = concatFloat32(frames);
+    frames = [];
+    stream = ctx = source = node = resampler = null;
+    return all;
+  }
+
+  return {
+    start,
+    stop,
+    pause() { paused = true; ctx?.suspend(); },
+    resume() { paused = false; ctx?.resume(); },
+    get paused() { return paused; },
+    get sampleRate() { return sampleRate; },
+    get inputRate() { return ctx ? ctx.sampleRate : null; }
+  };
+}
+
+window.audioCapture = {
+  createCapture,
+  createResampler,
+  encodeWavPCM16,
+  decodeToWav,
+  concatFloat32
+};
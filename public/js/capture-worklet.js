@@ -0,0 +1,40 @@
+// public/js/capture-worklet.js
+// AudioWorklet side of audio-capture.js: downmixes every input channel to mono
+// and posts Float32 batches (at the context's real sample rate) to the main thread.
+// A 'flush' message posts whatever is buffered, then 'flushed'.
+
+class CaptureProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.batch = new Float32Array(options?.processorOptions?.batchSize || 2048);
+    this.n = 0;
+    this.port.onmessage = (e) => {
+      if (e.data === 'flush') {
+        this.flush();
+        this.port.postMessage('flushed');
+      }
+    };
+  }
+
+  process(inputs) {
+    const channels = inputs[0];
+    if (channels && channels.length) {
+      const len = channels[0].length;
+      for (let i = 0; i < len; i++) {
+        let sum = 0;
+        for (const ch of channels) sum += ch[i];
+        this.batch[this.n++] = sum / channels.length;
+        if (this.n === this.batch.length) this.flush();
+      }
+    }
+    return true;
+  }
+
+  flush() {
+    if (this.n === 0) return;
+    this.port.postMessage(this.batch.slice(0, this.n));
+    this.n = 0;
+  }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -0,0 +1,59 @@
+// public/js/conversation.js
+// Conversation mode: the speaker-labelled transcript from /api/transcribe-conversation,
+// exported as WebVTT or JSON.
+console.log('conversation loaded');
+
+const CONVERSATION_SPEAKER_COLORS = 6; // .spk-1 … .spk-6 in index.html, then they repeat
+
+// "S2" -> 2 (colour slot)
+function conversationSpeakerIndex(speaker) {
+  const n = Number.parseInt(String(speaker || '').replace(/\D/g, ''), 10) || 1;
+  return (n - 1) % CONVERSATION_SPEAKER_COLORS + 1;
+}
+
+// 83450 -> "1:23"
+function conversationClock(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Segment playing at `ms` (last one started at or before it) -> index or -1
+function conversationSegmentAt(segments, ms) {
+  let found = -1;
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i].startMs > ms) break;
+    if (ms <= segments[i].endMs) found = i;
+  }
+  return found;
+}
+
+// WebVTT with voice spans, one cue per segment
+function conversationToVtt(data) {
+  const ts = ms => window.transcriptHistory.timestamp(ms, '.');
+  const cues = (data.segments || [])
+    .filter(s => s.text)
+    .map(s => `${s.index + 1}\n${ts(s.startMs)} --> ${ts(s.endMs)}\n<v ${s.speaker}>${s.text.replace(/&/g, '&amp;').replace(/</g, '&lt;')}\n`);
+  return `WEBVTT\n\n${cues.join('\n')}`;
+}
+
+function conversationToJson(data, opts = {}) {
+  return JSON.stringify({
+    language: data.language,
+    provider: data.provider,
+    diarization: data.diarization,
+    durationMs: data.durationMs,
+    speakers: data.speakers,
+    source: opts.source || null,
+    exportedAt: new Date().toISOString(),
+    segments: (data.segments || []).map(({ index, startMs, endMs, speaker, text, confidence, error }) =>
+      ({ index, startMs, endMs, speaker, text, confidence, ...(error ? { error } : {}) }))
+  }, null, 2);
+}
+
+window.conversation = {
+  speakerIndex: conversationSpeakerIndex,
+  clock: conversationClock,
+  segmentAt: conversationSegmentAt,
+  toVtt: conversationToVtt,
+  toJson: conversationToJson
+};
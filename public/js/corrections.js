@@ -0,0 +1,32 @@
+// public/js/corrections.js
+// Homophone chips the user confirmed ("I meant 郝, not 好"), kept per language in IndexedDB
+// (idb.js) and sent to /api/transcribe as `corrections` so those choices rank first.
+console.log('corrections loaded');
+
+const CORRECTIONS_STORE = 'corrections';
+const CORRECTIONS_SENT = 200; // most recent choices sent with each request
+
+async function confirmCorrection(language, heard, chosen) {
+  const key = `${language}|${heard}|${chosen}`;
+  const prev = await window.idb.get(CORRECTIONS_STORE, key);
+  const rec = { key, language, heard, chosen, count: (prev?.count || 0) + 1, lastAt: Date.now() };
+  await window.idb.put(CORRECTIONS_STORE, rec);
+  return rec;
+}
+
+// -> [{ heard, chosen, count }] for one language (or a list, for auto-detect), most recent first
+async function correctionsFor(language) {
+  const languages = [].concat(language);
+  const all = await window.idb.getAll(CORRECTIONS_STORE);
+  return all
+    .filter(c => languages.includes(c.language))
+    .sort((a, b) => b.lastAt - a.lastAt)
+    .slice(0, CORRECTIONS_SENT)
+    .map(({ heard, chosen, count }) => ({ heard, chosen, count }));
+}
+
+window.corrections = {
+  confirm: confirmCorrection,
+  forLanguage: correctionsFor,
+  clear: () => window.idb.clear(CORRECTIONS_STORE)
+};
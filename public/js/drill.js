@@ -0,0 +1,193 @@
+// public/js/drill.js
+// Drill mode: word lists, judging an attempt from the /api/transcribe response, and per-word
+// history in IndexedDB (idb.js) with Leitner-style spaced repetition.
+console.log('drill loaded');
+
+// Leitner box -> minutes until the word is due again (box 0: missed, due immediately)
+const DRILL_INTERVALS_MIN = [0, 10, 60, 24 * 60, 3 * 24 * 60, 7 * 24 * 60];
+const DRILL_REQUEUE_GAP = 3;  // a missed word comes back after this many other prompts
+const DRILL_MAX_REQUEUES = 2; // per word and session
+
+// Same normalization as the server's scoring (case, width, punctuation, spacing ignored)
+function drillNormalize(s) {
+  return (s || '').normalize('NFKC').toLowerCase().replace(/[\p{P}\p{S}\s]+/gu, '');
+}
+
+// Minimal CSV: quoted cells with "" escapes, comma separated
+function drillCsvRows(text) {
+  const rows = [];
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const cells = [];
+    let cell = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ',') { cells.push(cell.trim()); cell = ''; }
+      else cell += ch;
+    }
+    cells.push(cell.trim());
+    rows.push(cells);
+  }
+  return rows;
+}
+
+// JSON: ["词", …] | [{ word, pinyin?, hint? }, …] | { language?, words: [...] }
+// CSV:  word[,pinyin[,hint]] with an optional header row
+// -> { language: string|null, words: [{ word, pinyin, hint }] }
+function parseWordList(text, fileName = '') {
+  const t = (text || '').replace(/^﻿/, '').trim();
+  let language = null, raw;
+  if (/\.json$/i.test(fileName) || t.startsWith('[') || t.startsWith('{')) {
+    const obj = JSON.parse(t);
+    raw = Array.isArray(obj) ? obj : (obj.words || []);
+    language = Array.isArray(obj) ? null : (obj.language || null);
+  } else {
+    const rows = drillCsvRows(t);
+    if (rows.length && /^(word|text|prompt)$/i.test(rows[0][0])) rows.shift();
+    raw = rows.map(([word, pinyin, hint]) => ({ word, pinyin, hint }));
+  }
+  const words = raw
+    .map(w => (typeof w === 'string' ? { word: w } : w || {}))
+    .map(w => ({ word: String(w.word ?? w.text ?? '').trim(), pinyin: w.pinyin || null, hint: w.hint || w.meaning || null }))
+    .filter(w => w.word);
+  if (!words.length) throw new Error('Word list is empty');
+  return { language, words };
+}
+
+// Everything the server's homophone augmenters offered (cf. api/_lib/scoring.js homophoneSet)
+function drillHomophones(data) {
+  return [
+    ...(data?.zhAugment?.homophones || []),
+    ...(data?.zhNumbers?.alternates || []),
+    ...(data?.enHomophones?.homophones || []),
+    ...(data?.enHomophones?.numbers || []).flatMap(n => n.forms || []),
+    ...(data?.jaAugment?.homophones || []),
+    ...(data?.jaAugment?.chars || []).flatMap(c => c.homophones || []),
+    ...(data?.koAugment?.homophones || [])
+  ];
+}
+
+// -> { result: 'correct' | 'homophone' | 'wrong', heard, rank (1-based or null) }
+//    correct: the word is one of the candidates; homophone: only in the augmented sets
+function judgeAttempt(data, word) {
+  const texts = (data?.candidates || []).map(c => (typeof c === 'string' ? c : c?.text || ''));
+  const want = drillNormalize(word);
+  const idx = texts.findIndex(t => drillNormalize(t) === want);
+  const heard = texts[0] || '';
+  if (idx >= 0) return { result: 'correct', heard, rank: idx + 1 };
+  if (drillHomophones(data).some(h => drillNormalize(h) === want)) return { result: 'homophone', heard, rank: null };
+  return { result: 'wrong', heard, rank: null };
+}
+
+// "nǐ hǎo (3-3)" from hanzi_to_pinyin via pinyin-loader.js; polyphonic characters list every reading
+async function drillPinyin(word) {
+  if (!window.pinyinLoader?.getReadings) return null;
+  const syllables = [], tones = [];
+  for (const ch of word) {
+    if (!/\p{Script=Han}/u.test(ch)) continue;
+    const readings = await window.pinyinLoader.getReadings(ch);
+    if (!readings.length) return null;
+    syllables.push(readings.map(r => r.pretty).join('/'));
+    tones.push(readings.map(r => r.tone).join('/'));
+  }
+  return syllables.length ? `${syllables.join(' ')} (${tones.join('-')})` : null;
+}
+
+function drillKey(language, word) {
+  return `${language}|${word}`;
+}
+
+function drillNextRecord(rec, language, word, result, now = Date.now()) {
+  const prev = rec || { key: drillKey(language, word), language, word, box: 0, attempts: 0, correct: 0, homophone: 0, wrong: 0 };
+  const last = DRILL_INTERVALS_MIN.length - 1;
+  // a homophone-only hit keeps its box: right sound, not yet the right word
+  const box = result === 'correct' ? Math.min(prev.box + 1, last) : result === 'homophone' ? prev.box : 0;
+  return {
+    ...prev,
+    box,
+    due: now + DRILL_INTERVALS_MIN[box] * 60000,
+    attempts: prev.attempts + 1,
+    [result]: prev[result] + 1,
+    lastResult: result,
+    lastAt: now
+  };
+}
+
+// Session over a word list. Queue order: missed (box 0) and never-seen words first, then the
+// rest by due time; words not yet due go last. Missed words are re-asked DRILL_REQUEUE_GAP later.
+async function startDrill(words, language) {
+  const now = Date.now();
+  const history = new Map();
+  for (const w of words) {
+    const rec = await window.idb.get('drill', drillKey(language, w.word)).catch(() => null);
+    if (rec) history.set(w.word, rec);
+  }
+  const rank = w => {
+    const rec = history.get(w.word);
+    if (!rec) return [0, 0];
+    if (rec.box === 0) return [0, -1];
+    return [rec.due <= now ? 1 : 2, rec.due];
+  };
+  const queue = words
+    .map((w, i) => ({ w, i, r: rank(w) }))
+    .sort((a, b) => a.r[0] - b.r[0] || a.r[1] - b.r[1] || a.i - b.i)
+    .map(x => x.w);
+  const requeues = new Map();
+  const results = [];
+
+  return {
+    language,
+    results,
+    get current() { return queue[0] || null; },
+    get remaining() { return queue.length; },
+    history: word => history.get(word) || null,
+
+    // Record the current prompt's outcome (or 'skipped') and advance
+    async record(outcome) {
+      const w = queue.shift();
+      if (!w) return null;
+      results.push({ word: w.word, pinyin: w.pinyin, at: new Date().toISOString(), ...outcome });
+      if (outcome.result === 'skipped') return w;
+
+      const rec = drillNextRecord(history.get(w.word), language, w.word, outcome.result);
+      history.set(w.word, rec);
+      await window.idb.put('drill', rec).catch(err => console.warn('drill history not saved', err));
+
+      const n = requeues.get(w.word) || 0;
+      if (outcome.result === 'wrong' && n < DRILL_MAX_REQUEUES) {
+        requeues.set(w.word, n + 1);
+        queue.splice(Math.min(DRILL_REQUEUE_GAP, queue.length), 0, w);
+      }
+      return w;
+    }
+  };
+}
+
+function drillSummary(results) {
+  const count = r => results.filter(x => x.result === r).length;
+  return { attempts: results.length, correct: count('correct'), homophone: count('homophone'), wrong: count('wrong'), skipped: count('skipped') };
+}
+
+function drillResultsCsv(results) {
+  const cell = v => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const rows = [['word', 'pinyin', 'result', 'heard', 'rank', 'at']]
+    .concat(results.map(r => [r.word, r.pinyin, r.result, r.heard, r.rank, r.at]));
+  return rows.map(r => r.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+window.drill = {
+  parseWordList,
+  judgeAttempt,
+  pinyinFor: drillPinyin,
+  start: startDrill,
+  summary: drillSummary,
+  resultsCsv: drillResultsCsv
+};
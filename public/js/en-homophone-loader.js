@@ -0,0 +1,44 @@
+// public/js/en-homophone-loader.js
+console.log('en-homophone-loader loaded');
+
+const enShardCache = new Map();   // "tw" -> { two: { phonemes, homophones, near }, ... }
+
+async function loadEnShard(prefix) {
+  if (!enShardCache.has(prefix)) {
+    const resp = await fetch(`/en-homophones/${prefix}.json`, { cache: 'force-cache' });
+    const obj = resp.ok ? await resp.json() : {};
+    enShardCache.set(prefix, obj);
+  }
+  return enShardCache.get(prefix) || {};
+}
+
+// Normalize a recognized token to an index key ("Two." -> "two"); null if not a plain word
+function toWordKey(s) {
+  const t = (s||'').trim().toLowerCase().replace(/[.!?,;:…]+$/, '');
+  return /^[a-z]+(?:'[a-z]+)?$/.test(t) ? t : null;
+}
+
+/* ---------- public API ---------- */
+// Raw index entry: { phonemes: ["T UW"], homophones: [...], near: [...] } or null
+async function enLookup(word) {
+  const key = toWordKey(word);
+  if (!key) return null;
+  const shard = await loadEnShard(key.replace(/'/g, '').slice(0, 2));
+  return shard[key] || null;
+}
+
+// Same shape as the server's enHomophones: { input, phonemes, homophones, near: [{word, distance}] }
+async function enHomophonesFromWord(word) {
+  const entry = await enLookup(word);
+  return {
+    input: (word||'').trim(),
+    phonemes: entry?.phonemes || [],
+    homophones: entry?.homophones || [],
+    near: (entry?.near || []).map(w => ({ word: w, distance: 1 }))
+  };
+}
+
+window.enHomophoneLoader = {
+  lookup: enLookup,
+  homophonesFromWord: enHomophonesFromWord
+};
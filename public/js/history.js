@@ -0,0 +1,118 @@
+// public/js/history.js
+// Transcription history kept client-side in IndexedDB (idb.js): one entry per request with its
+// candidates, homophone augmentations and optionally the audio, plus JSON/CSV/SRT/WebVTT export.
+console.log('history loaded');
+
+const HISTORY_STORE = 'history';
+const HISTORY_DEFAULT_CUE_MS = 2000; // cue length when the clip duration is unknown
+
+// data: the /api/transcribe response (or a stream final); opts: { language, provider, route, audio?, audioName? }
+// -> id of the stored entry
+async function historyAdd(data, opts) {
+  const entry = {
+    at: Date.now(),
+    language: opts.language,
+    provider: data.provider || opts.provider,
+    // Azure reports which REST endpoint answered; ensemble runs list their members
+    endpoint: data.endpoint || (data.members ? data.members.join('+') : null),
+    route: opts.route || 'transcribe',
+    candidates: (data.candidates || []).map(c => (typeof c === 'string' ? c : c?.text || '')).filter(Boolean),
+    zhAugment: data.zhAugment || null,
+    zhNumbers: data.zhNumbers || null,
+    enHomophones: data.enHomophones || null,
+    jaAugment: data.jaAugment || null,
+    koAugment: data.koAugment || null,
+    expected: data.evaluation?.expected || null,
+    durationMs: data.audio?.durationMs ?? null,
+    audio: opts.audio || null,
+    audioName: opts.audioName || null
+  };
+  return window.idb.put(HISTORY_STORE, entry);
+}
+
+function historyHomophones(entry) {
+  return [
+    ...(entry.zhAugment?.homophones || []),
+    ...(entry.zhNumbers?.alternates || []),
+    ...(entry.enHomophones?.homophones || []),
+    ...(entry.jaAugment?.homophones || []),
+    ...(entry.koAugment?.homophones || [])
+  ];
+}
+
+// filter: { query?, language?, provider? } -> entries, newest first
+async function historyList(filter = {}) {
+  const q = (filter.query || '').trim().toLowerCase();
+  const all = await window.idb.getAll(HISTORY_STORE);
+  return all
+    .filter(e => !filter.language || e.language === filter.language)
+    .filter(e => !filter.provider || e.provider === filter.provider)
+    .filter(e => !q || [...e.candidates, e.expected || ''].some(t => t.toLowerCase().includes(q)))
+    .sort((a, b) => b.at - a.at);
+}
+
+function historyCsvCell(v) {
+  const s = v === null || v === undefined ? '' : String(v);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function historyToCsv(entries) {
+  const rows = [['id', 'time', 'language', 'provider', 'endpoint', 'top', 'candidates', 'homophones', 'expected', 'duration_ms']]
+    .concat(entries.map(e => [
+      e.id, new Date(e.at).toISOString(), e.language, e.provider, e.endpoint,
+      e.candidates[0] || '', e.candidates.join(' | '), historyHomophones(e).slice(0, 20).join(' | '),
+      e.expected, e.durationMs
+    ]));
+  return rows.map(r => r.map(historyCsvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// Audio blobs stay out of the JSON export
+function historyToJson(entries) {
+  return JSON.stringify(entries.map(({ audio, ...e }) => ({ ...e, time: new Date(e.at).toISOString(), hasAudio: !!audio })), null, 2);
+}
+
+// Cues on a wall-clock timeline starting at the oldest entry: each clip ends when its result was
+// stored and lasts its duration; overlaps are pushed back so cues stay in order.
+function historyCues(entries) {
+  const sorted = [...entries].filter(e => e.candidates.length).sort((a, b) => a.at - b.at);
+  if (!sorted.length) return [];
+  const origin = sorted[0].at - (sorted[0].durationMs || HISTORY_DEFAULT_CUE_MS);
+  let prevEnd = 0;
+  return sorted.map(e => {
+    const dur = e.durationMs || HISTORY_DEFAULT_CUE_MS;
+    const start = Math.max(prevEnd, e.at - dur - origin);
+    prevEnd = start + dur;
+    return { start, end: prevEnd, text: e.candidates[0] };
+  });
+}
+
+function historyTimestamp(ms, sep) {
+  const pad = (n, w = 2) => String(Math.floor(n)).padStart(w, '0');
+  return `${pad(ms / 3600000)}:${pad(ms / 60000 % 60)}:${pad(ms / 1000 % 60)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+function historyToSrt(entries) {
+  return historyCues(entries)
+    .map((c, i) => `${i + 1}\n${historyTimestamp(c.start, ',')} --> ${historyTimestamp(c.end, ',')}\n${c.text}\n`)
+    .join('\n');
+}
+
+function historyToVtt(entries) {
+  return 'WEBVTT\n\n' + historyCues(entries)
+    .map(c => `${historyTimestamp(c.start, '.')} --> ${historyTimestamp(c.end, '.')}\n${c.text}\n`)
+    .join('\n');
+}
+
+window.transcriptHistory = {
+  add: historyAdd,
+  list: historyList,
+  get: id => window.idb.get(HISTORY_STORE, id),
+  remove: id => window.idb.delete(HISTORY_STORE, id),
+  clear: () => window.idb.clear(HISTORY_STORE),
+  homophones: historyHomophones,
+  toJson: historyToJson,
+  toCsv: historyToCsv,
+  toSrt: historyToSrt,
+  toVtt: historyToVtt,
+  timestamp: historyTimestamp
+};
@@ -0,0 +1,50 @@
+// public/js/idb.js
+// Tiny promise wrapper around the page's IndexedDB database. Every object store is declared
+// here so the schema version lives in one place.
+console.log('idb loaded');
+
+const IDB_NAME = 'audioDetection';
+const IDB_VERSION = 3;
+const IDB_STORES = {
+  drill: { keyPath: 'key' },                        // drill.js: per-word history + spaced repetition
+  history: { keyPath: 'id', autoIncrement: true },  // history.js: one entry per transcription
+  corrections: { keyPath: 'key' }                   // corrections.js: confirmed homophone choices
+};
+
+let idbOpening = null;
+
+function idbOpen() {
+  if (idbOpening) return idbOpening;
+  idbOpening = new Promise((resolve, reject) => {
+    const req = indexedDB.open(IDB_NAME, IDB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      for (const [name, opts] of Object.entries(IDB_STORES)) {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, opts);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { idbOpening = null; reject(req.error); };
+  });
+  return idbOpening;
+}
+
+// Run fn(store) in one transaction; resolves with the last request's result once committed
+async function idbRun(storeName, mode, fn) {
+  const db = await idbOpen();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+window.idb = {
+  get: (store, key) => idbRun(store, 'readonly', s => s.get(key)),
+  getAll: store => idbRun(store, 'readonly', s => s.getAll()),
+  put: (store, value) => idbRun(store, 'readwrite', s => s.put(value)),
+  delete: (store, key) => idbRun(store, 'readwrite', s => s.delete(key)),
+  clear: store => idbRun(store, 'readwrite', s => s.clear())
+};
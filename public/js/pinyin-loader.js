@@ -1,100 +1,241 @@
-// public/js/pinyin-loader.js
-console.log('pinyin-loader loaded');
-
-const shardCache = new Map();   // base syllable -> shard object
-let hanziMap = null;            // { "你": [{sound:"ni", tone:3, pretty:"nǐ"}], ... }
-
-async function ensureHanziMap() {
-  if (hanziMap) return hanziMap;
-  const r = await fetch('/hanzi_to_pinyin.json', { cache: 'force-cache' });
-  hanziMap = r.ok ? await r.json() : {};
-  return hanziMap;
-}
-
-// Normalize a pinyin string to "hao" or "hao3"
-function toPinyinKey(s) {
-  const toneMap = {
-    'ā':'a1','á':'a2','ǎ':'a3','à':'a4',
-    'ē':'e1','é':'e2','ě':'e3','è':'e4',
-    'ī':'i1','í':'i2','ǐ':'i3','ì':'i4',
-    'ō':'o1','ó':'o2','ǒ':'o3','ò':'o4',
-    'ū':'u1','ú':'u2','ǔ':'u3','ù':'u4',
-    'ǖ':'v1','ǘ':'v2','ǚ':'v3','ǜ':'v4','ü':'v'
-  };
-  let t = (s||'').trim().toLowerCase();
-  t = t.replace(/[āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜü]/g, m => toneMap[m] || m);
-  // keep "hao3" if present, else "hao"
-  const withTone = /^[a-z]+[1-5]$/.test(t);
-  return withTone ? t : t.replace(/[^a-z]/g,'');
-}
-
-// Fetch a shard and return candidates for key ("hao" or "hao3")
-async function loadHanziForPinyin(key) {
-  const base = key.replace(/[1-5]$/, '');
-  if (!base) return [];
-  if (!shardCache.has(base)) {
-    const resp = await fetch(`/pinyin-index/${base}.json`, { cache: 'force-cache' });
-    const obj = resp.ok ? await resp.json() : {};
-    shardCache.set(base, obj);
-  }
-  const shard = shardCache.get(base) || {};
-  return shard[key] || shard[base] || [];
-}
-
-/* ---------- public API (arrays) ---------- */
-// From a recognized single Hanzi → union of all homophones across its readings (tone ignored)
-async function homophonesFromHanzi(ch) {
-  if (!ch) return [];
-  await ensureHanziMap();
-  const readings = Array.isArray(hanziMap[ch]) ? hanziMap[ch] : [];
-  if (!readings.length) return [];
-  const bases = [...new Set(readings.map(r => (r.sound||'').toLowerCase()).filter(Boolean))];
-  const out = new Set();
-  for (const b of bases) {
-    const list = await loadHanziForPinyin(b);
-    for (const c of list) out.add(c);
-  }
-  return [...out];
-}
-
-// From a recognized single pinyin syllable (e.g., "hǎo" or "hao3")
-async function homophonesFromPinyin(syllable) {
-  const key = toPinyinKey(syllable);
-  if (!key) return [];
-  return await loadHanziForPinyin(key);
-}
-
-/* ---------- optional helpers WITH tone ---------- */
-// Same as homophonesFromHanzi, but also returns toneLabel, e.g., "3" or "2/4"
-async function homophonesFromHanziWithTone(ch) {
-  await ensureHanziMap();
-  const homophones = await homophonesFromHanzi(ch);
-  const readings = Array.isArray(hanziMap[ch]) ? hanziMap[ch] : [];
-  const tones = [...new Set(readings.map(r => r.tone).filter(Boolean))];
-  const toneLabel = tones.length ? tones.join('/') : null;
-  return { homophones, toneLabel };
-}
-
-// Same as homophonesFromPinyin, but returns {homophones, toneLabel}
-// toneLabel is parsed from the syllable if it ends with 1..5; otherwise null.
-async function homophonesFromPinyinWithTone(syllable) {
-  const key = toPinyinKey(syllable);
-  if (!key) return { homophones: [], toneLabel: null };
-  const homophones = await loadHanziForPinyin(key);
-  const toneLabel = /[1-5]$/.test(key) ? key.slice(-1) : null;
-  return { homophones, toneLabel };
-}
-
-async function getReadings(ch) {
-  await ensureHanziMap();
-  return Array.isArray(hanziMap[ch]) ? hanziMap[ch] : [];
-}
-
-window.pinyinLoader = {
-  homophonesFromPinyin,
-  homophonesFromHanzi,
-  // optional helpers (keep UI decoupled):
-  homophonesFromPinyinWithTone,
-  homophonesFromHanziWithTone,
-  getReadings
-};
+// public/js/pinyin-loader.js
+console.log('pinyin-loader loaded');
+
+const shardCache = new Map();   // base syllable -> shard object
+const wordShardCache = new Map(); // first base syllable -> { "shi shi":[...], "shi4 shi2":[...] }
+const MAX_WORD_CHARS = 4;       // longest entries in /pinyin-words/
+const MAX_READING_COMBOS = 32;
+
+// Tone modes (same as /api/transcribe `tone`): toneless | exact | ranked
+const NEAR_TONES = { 1: [4], 2: [3], 3: [2], 4: [1], 5: [] };
+const MATCH_ORDER = { same: 0, near: 1, other: 2 };
+const TONE_MARKS = { a: 'āáǎà', e: 'ēéěè', i: 'īíǐì', o: 'ōóǒò', u: 'ūúǔù' };
+let hanziMap = null;            // { "你": [{sound:"ni", tone:3, pretty:"nǐ"}], ... }
+
+async function ensureHanziMap() {
+  if (hanziMap) return hanziMap;
+  const r = await fetch('/hanzi_to_pinyin.json', { cache: 'force-cache' });
+  hanziMap = r.ok ? await r.json() : {};
+  return hanziMap;
+}
+
+// Normalize a pinyin string to "hao" or "hao3"
+function toPinyinKey(s) {
+  const toneMap = {
+    'ā':'a1','á':'a2','ǎ':'a3','à':'a4',
+    'ē':'e1','é':'e2','ě':'e3','è':'e4',
+    'ī':'i1','í':'i2','ǐ':'i3','ì':'i4',
+    'ō':'o1','ó':'o2','ǒ':'o3','ò':'o4',
+    'ū':'u1','ú':'u2','ǔ':'u3','ù':'u4',
+    'ǖ':'v1','ǘ':'v2','ǚ':'v3','ǜ':'v4','ü':'v'
+  };
+  let t = (s||'').trim().toLowerCase();
+  t = t.replace(/[āáǎàēéěèīíǐìōóǒòūúǔùǖǘǚǜü]/g, m => toneMap[m] || m);
+  // keep "hao3" if present, else "hao"
+  const withTone = /^[a-z]+[1-5]$/.test(t);
+  return withTone ? t : t.replace(/[^a-z]/g,'');
+}
+
+async function loadShard(base) {
+  if (!shardCache.has(base)) {
+    const resp = await fetch(`/pinyin-index/${base}.json`, { cache: 'force-cache' });
+    const obj = resp.ok ? await resp.json() : {};
+    shardCache.set(base, obj);
+  }
+  return shardCache.get(base) || {};
+}
+
+// Fetch a shard and return candidates for key ("hao" or "hao3")
+async function loadHanziForPinyin(key) {
+  const base = key.replace(/[1-5]$/, '');
+  if (!base) return [];
+  const shard = await loadShard(base);
+  return shard[key] || shard[base] || [];
+}
+
+// "hao", 3 -> "hǎo"
+function prettyPinyin(base, tone) {
+  if (!(tone >= 1 && tone <= 4)) return base;
+  const idx = /[ae]/.test(base) ? base.search(/[ae]/)
+    : base.includes('ou') ? base.indexOf('o')
+    : base.search(/[aeiou][^aeiou]*$/);
+  if (idx < 0) return base;
+  return base.slice(0, idx) + TONE_MARKS[base[idx]][tone - 1] + base.slice(idx + 1);
+}
+
+// Homophones for readings ([{sound, tone}]) as [{char, sound, tone, pinyin, match}],
+// filtered/ordered by tone mode. match is 'same' | 'near' | 'other' (null if no input tone).
+async function annotatedFromReadings(readings, mode = 'toneless') {
+  const targetsByBase = new Map();
+  for (const r of readings) {
+    const base = (r.sound||'').toLowerCase();
+    if (!base) continue;
+    if (!targetsByBase.has(base)) targetsByBase.set(base, new Set());
+    if (r.tone) targetsByBase.get(base).add(Number(r.tone));
+  }
+  const seen = new Set();
+  let out = [];
+  for (const [base, targets] of targetsByBase) {
+    const shard = await loadShard(base);
+    const tonesOf = new Map();
+    for (let t = 1; t <= 5; t++) {
+      for (const ch of (shard[`${base}${t}`] || [])) tonesOf.set(ch, [...(tonesOf.get(ch) || []), t]);
+    }
+    for (const ch of (shard[base] || [])) {
+      if (seen.has(ch)) continue;
+      seen.add(ch);
+      const tones = tonesOf.get(ch) || [];
+      let tone = tones[0] ?? null, match = null;
+      if (targets.size) {
+        const same = tones.find(t => targets.has(t));
+        const near = tones.find(t => [...targets].some(x => NEAR_TONES[x]?.includes(t)));
+        tone = same ?? near ?? tone;
+        match = same !== undefined ? 'same' : near !== undefined ? 'near' : 'other';
+      }
+      out.push({ char: ch, sound: base, tone, pinyin: prettyPinyin(base, tone), match });
+    }
+  }
+  if (mode === 'exact') out = out.filter(a => a.match === 'same' || a.match === null);
+  if (mode === 'ranked') {
+    out = out.map((a, i) => [a, i])
+      .sort(([a, i], [b, j]) => (MATCH_ORDER[a.match] ?? 0) - (MATCH_ORDER[b.match] ?? 0) || i - j)
+      .map(([a]) => a);
+  }
+  return out;
+}
+
+function pinyinReading(key) {
+  const tone = /[1-5]$/.test(key) ? Number(key.slice(-1)) : null;
+  return { sound: key.replace(/[1-5]$/, ''), tone };
+}
+
+async function loadWordShard(base) {
+  if (!wordShardCache.has(base)) {
+    const resp = await fetch(`/pinyin-words/${base}.json`, { cache: 'force-cache' });
+    const obj = resp.ok ? await resp.json() : {};
+    wordShardCache.set(base, obj);
+  }
+  return wordShardCache.get(base) || {};
+}
+
+/* ---------- public API (arrays) ---------- */
+// From a recognized single Hanzi → union of all homophones across its readings (tone ignored).
+// With { tone: 'exact' | 'ranked' } the list is filtered/ordered by the Hanzi's own tones.
+async function homophonesFromHanzi(ch, { tone } = {}) {
+  if (!ch) return [];
+  await ensureHanziMap();
+  const readings = Array.isArray(hanziMap[ch]) ? hanziMap[ch] : [];
+  if (!readings.length) return [];
+  if (tone) return (await annotatedFromReadings(readings, tone)).map(a => a.char);
+  const bases = [...new Set(readings.map(r => (r.sound||'').toLowerCase()).filter(Boolean))];
+  const out = new Set();
+  for (const b of bases) {
+    const list = await loadHanziForPinyin(b);
+    for (const c of list) out.add(c);
+  }
+  return [...out];
+}
+
+// From a recognized single pinyin syllable (e.g., "hǎo" or "hao3")
+async function homophonesFromPinyin(syllable, { tone } = {}) {
+  const key = toPinyinKey(syllable);
+  if (!key) return [];
+  if (tone) return (await annotatedFromReadings([pinyinReading(key)], tone)).map(a => a.char);
+  return await loadHanziForPinyin(key);
+}
+
+/* ---------- optional helpers WITH tone ---------- */
+// Same as homophonesFromHanzi, but also returns toneLabel, e.g., "3" or "2/4",
+// and `annotated` ([{char, pinyin, tone, match}]) for colouring by tone
+async function homophonesFromHanziWithTone(ch, { tone } = {}) {
+  await ensureHanziMap();
+  const readings = Array.isArray(hanziMap[ch]) ? hanziMap[ch] : [];
+  const annotated = readings.length ? await annotatedFromReadings(readings, tone || 'toneless') : [];
+  const homophones = tone ? annotated.map(a => a.char) : await homophonesFromHanzi(ch);
+  const tones = [...new Set(readings.map(r => r.tone).filter(Boolean))];
+  const toneLabel = tones.length ? tones.join('/') : null;
+  return { homophones, toneLabel, annotated };
+}
+
+// Same as homophonesFromPinyin, but returns {homophones, toneLabel, annotated}
+// toneLabel is parsed from the syllable if it ends with 1..5; otherwise null.
+async function homophonesFromPinyinWithTone(syllable, { tone } = {}) {
+  const key = toPinyinKey(syllable);
+  if (!key) return { homophones: [], toneLabel: null, annotated: [] };
+  const annotated = await annotatedFromReadings([pinyinReading(key)], tone || 'toneless');
+  const homophones = tone ? annotated.map(a => a.char) : await loadHanziForPinyin(key);
+  const toneLabel = /[1-5]$/.test(key) ? key.slice(-1) : null;
+  return { homophones, toneLabel, annotated };
+}
+
+/* ---------- words / short phrases ---------- */
+// Whole words read as the given syllables. Each position may be a syllable
+// ("shi4", "shi") or an array of possible syllables (polyphones).
+// Returns { toned, toneless } – toned is empty unless every syllable has a tone.
+async function wordsFromPinyin(syllables, exclude = null) {
+  const lists = (syllables || []).map(s => (Array.isArray(s) ? s : [s]).map(toPinyinKey).filter(Boolean));
+  if (lists.length < 2 || lists.length > MAX_WORD_CHARS || lists.some(l => !l.length)) {
+    return { toned: [], toneless: [] };
+  }
+  let combos = [[]];
+  for (const list of lists) {
+    const next = [];
+    for (const combo of combos) for (const syl of new Set(list)) next.push([...combo, syl]);
+    combos = next.slice(0, MAX_READING_COMBOS);
+  }
+  const toned = new Set(), toneless = new Set();
+  for (const combo of combos) {
+    const plain = combo.map(s => s.replace(/[1-5]$/, ''));
+    const shard = await loadWordShard(plain[0]);
+    for (const w of (shard[plain.join(' ')] || [])) toneless.add(w);
+    if (combo.every(s => /[1-5]$/.test(s))) {
+      for (const w of (shard[combo.join(' ')] || [])) toned.add(w);
+    }
+  }
+  toned.delete(exclude); toneless.delete(exclude);
+  return { toned: [...toned], toneless: [...toneless] };
+}
+
+// From a recognized word/phrase (e.g. "事实") → per-character homophone sets
+// plus whole words with the same syllables; every reading of a polyphone is tried.
+async function homophonesFromWord(word, { tone = 'toneless' } = {}) {
+  await ensureHanziMap();
+  const hanChars = [...(word || '')].filter(ch => /\p{Script=Han}/u.test(ch));
+  const chars = [];
+  for (const ch of hanChars) {
+    const readings = (Array.isArray(hanziMap[ch]) ? hanziMap[ch] : [])
+      .map(r => `${(r.sound||'').toLowerCase()}${r.tone||''}`)
+      .filter(Boolean);
+    const annotated = await annotatedFromReadings(hanziMap[ch] || [], tone);
+    chars.push({ char: ch, readings, homophones: annotated.map(a => a.char), annotated });
+  }
+  const input = hanChars.join('');
+  const words = await wordsFromPinyin(chars.map(c => c.readings), input);
+  const toneLabel = chars
+    .map(c => [...new Set(c.readings.map(r => r.slice(-1)).filter(t => /[1-5]/.test(t)))].join('/') || '?')
+    .join(' ');
+  return {
+    chars,
+    words,
+    homophones: tone === 'exact' ? words.toned
+      : tone === 'ranked' ? [...new Set([...words.toned, ...words.toneless])]
+      : words.toneless,
+    toneLabel
+  };
+}
+
+async function getReadings(ch) {
+  await ensureHanziMap();
+  return Array.isArray(hanziMap[ch]) ? hanziMap[ch] : [];
+}
+
+window.pinyinLoader = {
+  homophonesFromPinyin,
+  homophonesFromHanzi,
+  // optional helpers (keep UI decoupled):
+  homophonesFromPinyinWithTone,
+  homophonesFromHanziWithTone,
+  homophonesFromWord,
+  wordsFromPinyin,
+  getReadings
+};
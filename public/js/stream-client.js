@@ -0,0 +1,133 @@
+// public/js/stream-client.js
+// Continuous recognition: captures mono 16 kHz audio (audio-capture.js), cuts it into segments at
+// pauses and posts the open segment to /api/transcribe-stream for partial results, each time it
+// has grown by half (so the audio sent per segment stays a small multiple of its length), and
+// once more when it closes.
+// The server answers each post with server-sent events (partial/final/error/end).
+console.log('stream-client loaded');
+
+const STREAM_CHUNK_MS = 1000;        // how often partials are considered, and the least new audio per partial
+const STREAM_PARTIAL_GROWTH = 1.5;   // a partial waits until the segment is this much longer than the last one sent
+const STREAM_PAUSE_MS = 700;         // this much quiet after speech closes a segment
+const STREAM_MAX_SEGMENT_MS = 15000; // Azure short-audio limit is 60 s; keep segments short
+const STREAM_LEAD_IN_MS = 300;       // quiet audio kept before speech starts
+const STREAM_RATE = 16000;
+
+// Parse a text/event-stream body, calling onEvent(event, data) per message
+async function readEventStream(resp, onEvent) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += decoder.decode(value, { stream: true });
+    let cut;
+    while ((cut = buf.indexOf('\n\n')) >= 0) {
+      const block = buf.slice(0, cut);
+      buf = buf.slice(cut + 2);
+      let event = 'message', data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      }
+      try { onEvent(event, data ? JSON.parse(data) : {}); } catch (e) { console.warn('bad event', e); }
+    }
+  }
+}
+
+// opts: { language, provider, fixture?,
+//         onPartial(segment, text), onFinal(segment, text, candidates, details),
+//         onError(message, code?), onLevel?(rms, speech) }   code: see api/_lib/errors.js
+// Returns { stop() -> Promise } ; stop() closes the last segment and waits for its result.
+async function startStream(opts) {
+  const { concatFloat32, encodeWavPCM16 } = window.audioCapture;
+  const capture = window.audioCapture.createCapture({ sampleRate: STREAM_RATE, keep: false, onFrame });
+
+  let parts = [], partsMs = 0;       // open segment
+  let heardSpeech = false, quietMs = 0;
+  const detector = window.vad.createDetector({ silenceMs: 0, onLevel: opts.onLevel }); // speech/quiet per buffer
+  let segment = 0;
+  let partialInFlight = false;
+  let partialMs = 0;                 // open-segment length at the last partial
+  let partialsPausedUntil = 0;       // after a 429, partials wait; finals still go out
+  const closed = new Set();          // segments already finalized: ignore late partials
+  let finals = Promise.resolve();    // finals are sent in order and never dropped
+
+  function post(samples, seg, final) {
+    const form = new FormData();
+    form.append('audio', encodeWavPCM16(samples, STREAM_RATE), 'segment.wav');
+    form.append('language', opts.language);
+    form.append('provider', opts.provider);
+    form.append('segment', String(seg));
+    if (opts.fixture) form.append('fixture', opts.fixture);
+    if (final) form.append('final', '1');
+    return fetch('/api/transcribe-stream', { method: 'POST', body: form }).then(async resp => {
+      const ct = resp.headers.get('content-type') || '';
+      if (!ct.includes('text/event-stream')) {
+        const data = ct.includes('application/json') ? await resp.json() : { error: await resp.text() };
+        throw Object.assign(new Error(data.error || `HTTP ${resp.status}`),
+          { code: data.code, retryAfter: Number(resp.headers.get('Retry-After') ?? data.retryAfter) || 0 });
+      }
+      await readEventStream(resp, (event, data) => {
+        if (event === 'partial' && !closed.has(data.segment)) opts.onPartial(data.segment, data.text);
+        else if (event === 'final') opts.onFinal(data.segment, data.text, data.candidates || [], data.details || []);
+        else if (event === 'error') opts.onError(data.error, data.code);
+      });
+    });
+  }
+
+  function closeSegment() {
+    const samples = concatFloat32(parts), seg = segment;
+    parts = []; partsMs = 0; heardSpeech = false; quietMs = 0; partialMs = 0;
+    segment++;
+    closed.add(seg);
+    finals = finals.then(() => post(samples, seg, true)).catch(err => opts.onError(err.message || String(err), err.code));
+  }
+
+  function onFrame(frame) {
+    const ms = frame.length / STREAM_RATE * 1000;
+    const { speech } = detector.push(frame, STREAM_RATE);
+
+    parts.push(frame); partsMs += ms;
+    if (speech) { heardSpeech = true; quietMs = 0; } else { quietMs += ms; }
+
+    if (!heardSpeech) {
+      // nothing said yet: keep only a short lead-in
+      while (parts.length > 1 && partsMs - parts[0].length / STREAM_RATE * 1000 >= STREAM_LEAD_IN_MS) {
+        partsMs -= parts.shift().length / STREAM_RATE * 1000;
+      }
+      return;
+    }
+    if (quietMs >= STREAM_PAUSE_MS || partsMs >= STREAM_MAX_SEGMENT_MS) closeSegment();
+  }
+
+  await capture.start();
+
+  const timer = setInterval(() => {
+    if (!heardSpeech || partialInFlight || parts.length === 0 || Date.now() < partialsPausedUntil) return;
+    if (partsMs < Math.max(partialMs + STREAM_CHUNK_MS, partialMs * STREAM_PARTIAL_GROWTH)) return;
+    partialInFlight = true;
+    partialMs = partsMs;
+    post(concatFloat32(parts), segment, false)
+      .catch(err => {
+        // a missed partial costs nothing: the final carries the text
+        if (err.code === 'RATE_LIMITED') partialsPausedUntil = Date.now() + Math.max(1, err.retryAfter) * 1000;
+        else opts.onError(err.message || String(err), err.code);
+      })
+      .finally(() => { partialInFlight = false; });
+  }, STREAM_CHUNK_MS);
+
+  return {
+    async stop() {
+      clearInterval(timer);
+      await capture.stop();
+      if (heardSpeech) closeSegment();
+      await finals;
+    }
+  };
+}
+
+window.streamClient = {
+  start: startStream
+};
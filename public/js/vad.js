@@ -0,0 +1,90 @@
+// public/js/vad.js
+// Energy + zero-crossing voice activity detection for the recorder paths:
+// live speech/silence per audio buffer (auto-stop, level meter) and trimming of
+// leading/trailing silence before a clip is encoded.
+console.log('vad loaded');
+
+const VAD_MIN_RMS = 0.01;       // floor for the speech threshold in a quiet room
+const VAD_NOISE_FACTOR = 3;     // speech must be this much louder than the noise floor
+const VAD_ZCR_MAX = 0.45;       // above this a loud frame is hiss/clicks, not speech
+const VAD_FRAME_MS = 20;
+
+// RMS level and zero-crossing rate (crossings per sample) of one frame
+function frameStats(samples, from = 0, to = samples.length) {
+  let sum = 0, crossings = 0;
+  for (let i = from; i < to; i++) {
+    sum += samples[i] * samples[i];
+    if (i > from && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+  }
+  const n = Math.max(1, to - from);
+  return { rms: Math.sqrt(sum / n), zcr: crossings / n };
+}
+
+function isSpeechFrame({ rms, zcr }, noiseFloor) {
+  const threshold = Math.max(VAD_MIN_RMS, noiseFloor * VAD_NOISE_FACTOR);
+  // voiced sounds: loud, low ZCR; fricatives (s, f, sh): quieter but mid ZCR
+  if (zcr > VAD_ZCR_MAX) return false;
+  return rms >= threshold || (rms >= threshold * 0.5 && zcr >= 0.1);
+}
+
+// Live detector fed with successive buffers.
+// opts: { silenceMs = 1500 (0 = never auto-stop), minSpeechMs = 200, onAutoStop(), onLevel(rms, speech) }
+function createDetector(opts = {}) {
+  const silenceMs = opts.silenceMs ?? 1500;
+  const minSpeechMs = opts.minSpeechMs ?? 200;
+  let noiseFloor = VAD_MIN_RMS / VAD_NOISE_FACTOR;
+  let speechMs = 0, quietMs = 0, stopped = false;
+
+  return {
+    push(samples, sampleRate) {
+      const stats = frameStats(samples);
+      const ms = samples.length / sampleRate * 1000;
+      const speech = isSpeechFrame(stats, noiseFloor);
+      if (speech) {
+        speechMs += ms;
+        quietMs = 0;
+      } else {
+        quietMs += ms;
+        // track background noise on non-speech frames (slow rise, fast fall)
+        noiseFloor = stats.rms < noiseFloor ? stats.rms * 0.5 + noiseFloor * 0.5 : noiseFloor * 0.95 + stats.rms * 0.05;
+      }
+      if (opts.onLevel) opts.onLevel(stats.rms, speech);
+      if (!stopped && silenceMs > 0 && speechMs >= minSpeechMs && quietMs >= silenceMs && opts.onAutoStop) {
+        stopped = true;
+        opts.onAutoStop();
+      }
+      return { ...stats, speech };
+    },
+    get heardSpeech() { return speechMs >= minSpeechMs; },
+    get speechMs() { return speechMs; }
+  };
+}
+
+// Cut leading/trailing silence, keeping padMs either side of the speech.
+// Returns the trimmed samples, or null when the clip has less than minSpeechMs of speech.
+function trimSilence(samples, sampleRate, { padMs = 150, minSpeechMs = 200 } = {}) {
+  const frame = Math.max(1, Math.round(sampleRate * VAD_FRAME_MS / 1000));
+  const frames = [];
+  for (let i = 0; i < samples.length; i += frame) {
+    frames.push(frameStats(samples, i, Math.min(samples.length, i + frame)));
+  }
+  if (frames.length === 0) return null;
+
+  // noise floor: a low percentile of frame levels
+  const sorted = frames.map(f => f.rms).sort((a, b) => a - b);
+  const noiseFloor = sorted[Math.floor(sorted.length * 0.1)];
+
+  const speech = frames.map(f => isSpeechFrame(f, noiseFloor));
+  const count = speech.filter(Boolean).length;
+  if (count * VAD_FRAME_MS < minSpeechMs) return null;
+
+  const first = speech.indexOf(true), last = speech.lastIndexOf(true);
+  const pad = Math.round(sampleRate * padMs / 1000);
+  return samples.subarray(Math.max(0, first * frame - pad), Math.min(samples.length, (last + 1) * frame + pad));
+}
+
+window.vad = {
+  frameStats,
+  createDetector,
+  trimSilence
+};
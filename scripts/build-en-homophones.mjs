@@ -0,0 +1,132 @@
+// scripts/build-en-homophones.mjs
+// Builds public/en-homophones/<prefix>.json from a CMU-dict style file
+// ("word  PH1 PH2 ..." per line, "word(2)" for alternate pronunciations):
+//
+//   node scripts/build-en-homophones.mjs path/to/cmudict.dict [path/to/frequencies.txt]
+//
+// The optional frequency list ("word count" per line, e.g. SUBTLEX-US) limits
+// the vocabulary to words seen at least MIN_COUNT times (contractions are
+// always kept) and orders homophones/near-homophones most frequent first.
+//
+// Shards are keyed by the first two letters of the word. Each entry is
+//   "two": { "phonemes": ["T UW"], "homophones": ["to", "too"], "near": ["tooth", ...] }
+// Phonemes are compared without stress digits. `near` words are one phoneme
+// away (substitution, insertion or deletion), capped at MAX_NEAR; letter names
+// ("t", "u") are not offered as near words, only the real words "a" and "i".
+// Words with neither homophones nor near-homophones are left out.
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MAX_NEAR = 12;
+const MIN_COUNT = 3;
+
+const [src, freqSrc] = process.argv.slice(2);
+if (!src) {
+  console.error('usage: node scripts/build-en-homophones.mjs <cmudict> [frequencies]');
+  process.exit(1);
+}
+
+const freq = new Map();      // word -> count
+if (freqSrc) {
+  for (const line of fs.readFileSync(freqSrc, 'utf8').split('\n')) {
+    const [w, c] = line.trim().split(/\s+/);
+    if (w && Number(c) >= MIN_COUNT) freq.set(w.toLowerCase(), (freq.get(w.toLowerCase()) || 0) + Number(c));
+  }
+}
+const inVocabulary = w => !freqSrc || freq.has(w) || w.includes("'");
+const byFrequency = (a, b) => (freq.get(b) || 0) - (freq.get(a) || 0) || a.localeCompare(b);
+const outDir = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../public/en-homophones');
+
+const WORD = /^[a-z]+(?:'[a-z]+)?$/;
+const LETTER_WORDS = new Set(['a', 'i']);
+const isNearWord = w => w.length > 1 || LETTER_WORDS.has(w);
+
+const prons = new Map();     // word -> Set("T UW")
+const byPron = new Map();    // "T UW" -> Set(words)
+
+for (const raw of fs.readFileSync(src, 'utf8').split('\n')) {
+  const line = raw.replace(/#.*$/, '').trim();
+  if (!line || line.startsWith(';;;')) continue;
+  const [head, ...phones] = line.split(/\s+/);
+  const word = head.toLowerCase().replace(/\(\d+\)$/, '');
+  if (!WORD.test(word) || phones.length === 0 || !inVocabulary(word)) continue;
+
+  const pron = phones.map(p => p.replace(/\d$/, '')).join(' ');
+  if (!prons.has(word)) prons.set(word, new Set());
+  prons.get(word).add(pron);
+  if (!byPron.has(pron)) byPron.set(pron, new Set());
+  byPron.get(pron).add(word);
+}
+
+// One-deletion neighbourhood: "T UW" -> ["UW", "T"]. Two prons within one
+// edit share a key (or one equals a key of the other); candidates are then
+// confirmed with a real edit distance.
+function deletions(pron) {
+  const ph = pron.split(' ');
+  return ph.map((_, i) => ph.filter((__, j) => j !== i).join(' '));
+}
+
+const byDeletion = new Map();  // deletion key -> Set(prons)
+for (const pron of byPron.keys()) {
+  for (const key of deletions(pron)) {
+    if (!byDeletion.has(key)) byDeletion.set(key, new Set());
+    byDeletion.get(key).add(pron);
+  }
+}
+
+function withinOne(a, b) {
+  const x = a.split(' '), y = b.split(' ');
+  if (Math.abs(x.length - y.length) > 1) return false;
+  let i = 0, j = 0, edits = 0;
+  while (i < x.length && j < y.length) {
+    if (x[i] === y[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (x.length > y.length) i++;
+    else if (y.length > x.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (x.length - i) + (y.length - j) <= 1;
+}
+
+function nearProns(pron) {
+  const out = new Set();
+  const consider = p => { if (p !== pron && withinOne(pron, p)) out.add(p); };
+  for (const p of byDeletion.get(pron) || []) consider(p);          // insertions
+  for (const key of deletions(pron)) {
+    if (byPron.has(key)) consider(key);                              // deletions
+    for (const p of byDeletion.get(key) || []) consider(p);          // substitutions
+  }
+  return out;
+}
+
+const shards = new Map();
+for (const [word, set] of prons) {
+  const phonemes = [...set];
+  const homophones = new Set();
+  const near = new Set();
+  for (const pron of phonemes) {
+    for (const w of byPron.get(pron)) homophones.add(w);
+    for (const p of nearProns(pron)) {
+      for (const w of byPron.get(p)) if (isNearWord(w)) near.add(w);
+    }
+  }
+  homophones.delete(word);
+  for (const w of homophones) near.delete(w);
+  near.delete(word);
+  if (homophones.size === 0 && near.size === 0) continue;
+
+  const prefix = word.replace(/'/g, '').slice(0, 2);
+  if (!shards.has(prefix)) shards.set(prefix, {});
+  shards.get(prefix)[word] = {
+    phonemes,
+    homophones: [...homophones].sort(byFrequency),
+    near: [...near].sort(byFrequency).slice(0, MAX_NEAR)
+  };
+}
+
+fs.rmSync(outDir, { recursive: true, force: true });
+fs.mkdirSync(outDir, { recursive: true });
+for (const [prefix, shard] of shards) {
+  fs.writeFileSync(path.join(outDir, `${prefix}.json`), JSON.stringify(shard));
+}
+console.log(`wrote ${shards.size} shards to ${outDir}`);
@@ -0,0 +1,45 @@
+// scripts/build-hanzi-frequency.mjs
+// Builds public/hanzi-frequency.json from Jun Da's Modern Chinese character frequency
+// list, optionally with CC-CEDICT:
+//
+//   node scripts/build-hanzi-frequency.mjs path/to/CharFreq.txt [path/to/cedict_ts.u8]
+//
+// CharFreq.txt lines are "rank<TAB>char<TAB>count<TAB>…". Output:
+//   { "ranks": { char: rank (1 = most common) }, "traditional": { char: rank } }
+// The list is Simplified, so with CC-CEDICT each Traditional variant also gets the rank of
+// its Simplified form (號 ranks with 号) under "traditional", used for zh-TW/HK requests.
+import fs from 'node:fs';
+import path from 'node:path';
+
+const [src, cedict] = process.argv.slice(2);
+if (!src) {
+  console.error('usage: node scripts/build-hanzi-frequency.mjs <CharFreq.txt> [cedict_ts.u8]');
+  process.exit(1);
+}
+const outFile = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../public/hanzi-frequency.json');
+
+const HAN = /^\p{Script=Han}$/u;
+const ranks = new Map();
+const traditional = new Map();
+
+for (const line of fs.readFileSync(src, 'utf8').split('\n')) {
+  const [rank, ch] = line.split('\t');
+  if (!/^\d+$/.test((rank || '').trim()) || !HAN.test(ch || '')) continue;
+  if (!ranks.has(ch)) ranks.set(ch, Number(rank));
+}
+if (cedict) {
+  const LINE = /^(\S+) (\S+) \[/;
+  for (const line of fs.readFileSync(cedict, 'utf8').split('\n')) {
+    const m = LINE.exec(line);
+    if (!m) continue;
+    const [, trad, simp] = m;
+    if (trad === simp || !HAN.test(trad) || !ranks.has(simp)) continue;
+    // Jun Da ranks 號 itself as rare; in Traditional text it is as common as 号
+    const rank = Math.min(ranks.get(simp), ranks.get(trad) ?? Infinity);
+    if (!traditional.has(trad) || traditional.get(trad) > rank) traditional.set(trad, rank);
+  }
+}
+
+const sorted = map => Object.fromEntries([...map].sort((a, b) => a[1] - b[1]));
+fs.writeFileSync(outFile, JSON.stringify({ ranks: sorted(ranks), traditional: sorted(traditional) }));
+console.log(`wrote ${ranks.size} ranked characters and ${traditional.size} Traditional variants to ${outFile}`);
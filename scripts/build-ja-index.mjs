@@ -0,0 +1,110 @@
+// scripts/build-ja-index.mjs
+// Builds the Japanese reading indexes from the kanji-data package (KANJIDIC + JMdict):
+//
+//   node scripts/build-ja-index.mjs path/to/kanji-data/data
+//
+//   public/ja-index/<hex of first kana>.json    reading -> written forms, most common first
+//                                                ("はし": ["橋", "箸", "端", …])
+//   public/ja-readings/<first 2 hex digits>.json written form -> kana readings
+//                                                ("橋": ["はし", "きょう"])
+//
+// Words: every JMdict entry with a priority tag (news/ichi/spec/gai/nf), plus single-kanji
+// words. Single kanji also get their KANJIDIC on/kun readings (school-grade, JLPT or
+// newspaper-frequency kanji only). Katakana readings are folded to hiragana.
+import fs from 'node:fs';
+import path from 'node:path';
+
+const src = process.argv[2];
+if (!src) {
+  console.error('usage: node scripts/build-ja-index.mjs <kanji-data/data>');
+  process.exit(1);
+}
+const publicDir = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../public');
+
+const KANA_ONLY = /^[\p{Script=Hiragana}\p{Script=Katakana}ー]+$/u;
+const HAS_KANJI = /\p{Script=Han}/u;
+
+function toHiragana(s) {
+  return s.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+}
+
+// Lower is more common: nfXX is the 500-word band in newspaper frequency (1–48);
+// the 1/2 tags of the other lists sit roughly at the top and bottom of that range.
+function priorityScore(priorities) {
+  if (!priorities.length) return 99;
+  let best = 60;
+  for (const p of priorities) {
+    const nf = /^nf(\d\d)$/.exec(p);
+    if (nf) best = Math.min(best, Number(nf[1]));
+    else if (/1$/.test(p)) best = Math.min(best, 12);
+    else if (/2$/.test(p)) best = Math.min(best, 36);
+  }
+  return best;
+}
+
+const byReading = new Map();   // reading -> Map(written -> score)
+const byWritten = new Map();   // written -> Map(reading -> score)
+
+function add(written, reading, score) {
+  if (!byReading.has(reading)) byReading.set(reading, new Map());
+  const r = byReading.get(reading);
+  r.set(written, Math.min(r.get(written) ?? Infinity, score));
+  if (!byWritten.has(written)) byWritten.set(written, new Map());
+  const w = byWritten.get(written);
+  w.set(reading, Math.min(w.get(reading) ?? Infinity, score));
+}
+
+const wordsDir = path.join(src, 'words');
+for (const file of fs.readdirSync(wordsDir).filter(f => f.endsWith('.json'))) {
+  const chunk = JSON.parse(fs.readFileSync(path.join(wordsDir, file), 'utf8'));
+  for (const entries of Object.values(chunk)) {
+    for (const entry of entries) {
+      for (const v of entry.variants || []) {
+        const written = (v.written || '').trim();
+        const reading = toHiragana((v.pronounced || '').trim());
+        if (!written || !reading || !HAS_KANJI.test(written) || !KANA_ONLY.test(reading)) continue;
+        const score = priorityScore(v.priorities || []);
+        if (score === 99 && [...written].length > 1) continue;
+        add(written, reading, score);
+      }
+    }
+  }
+}
+
+// KANJIDIC readings for common single kanji: "い.きる" -> "い", "-ばた" -> "ばた"
+const meta = JSON.parse(fs.readFileSync(path.join(src, 'kanji-meta.json'), 'utf8'));
+const readingsOnly = new Map(); // kanji -> [readings] not already known from words
+for (const k of Object.values(meta)) {
+  if (!k.grade && !k.jlpt && !k.freq_mainichi_shinbun) continue;
+  const known = byWritten.get(k.kanji) || new Map();
+  const extra = [...(k.kun_readings || []), ...(k.on_readings || [])]
+    .map(r => toHiragana(r.split('.')[0].replace(/-/g, '')))
+    .filter(r => r && KANA_ONLY.test(r) && !known.has(r));
+  if (extra.length) readingsOnly.set(k.kanji, [...new Set(extra)]);
+}
+
+const hex = (ch, digits) => ch.codePointAt(0).toString(16).padStart(4, '0').slice(0, digits);
+const sortedKeys = m => [...m].sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0])).map(([k]) => k);
+
+const indexShards = new Map();
+for (const [reading, written] of byReading) {
+  const key = hex(reading[0], 4);
+  if (!indexShards.has(key)) indexShards.set(key, {});
+  indexShards.get(key)[reading] = sortedKeys(written);
+}
+
+const readingShards = new Map();
+for (const written of new Set([...byWritten.keys(), ...readingsOnly.keys()])) {
+  const key = hex(written, 2);
+  if (!readingShards.has(key)) readingShards.set(key, {});
+  readingShards.get(key)[written] = [...sortedKeys(byWritten.get(written) || new Map()), ...(readingsOnly.get(written) || [])];
+}
+
+for (const [dir, shards] of [['ja-index', indexShards], ['ja-readings', readingShards]]) {
+  const outDir = path.join(publicDir, dir);
+  fs.rmSync(outDir, { recursive: true, force: true });
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const [key, obj] of shards) fs.writeFileSync(path.join(outDir, `${key}.json`), JSON.stringify(obj));
+  console.log(`wrote ${shards.size} shards to ${outDir}`);
+}
+console.log(`${byReading.size} readings, ${byWritten.size} written forms, ${readingsOnly.size} kanji with extra readings`);
@@ -0,0 +1,77 @@
+// scripts/build-ko-index.mjs
+// Builds public/ko-index/<hex>.json (Hangul reading -> Hanja read that way) from the
+// hanja package's hanjaeum.json, ordered by public/hanzi-frequency.json when present:
+//
+//   node scripts/build-ko-index.mjs path/to/hanjaeum.json [path/to/cedict_ts.u8]
+//
+// hanjaeum.json also reads Simplified Chinese characters; with CC-CEDICT those that only
+// ever appear as Simplified forms (数, 须) are dropped, since Korean Hanja are Traditional.
+// Shards are keyed by the initial consonant: <hex> is the first syllable of its block
+// (ac00 = 가… for ㄱ, b098 = 나… for ㄴ, …), so a lookup needs one small file.
+// Hanja outside the frequency list keep their code-point order after the ranked ones;
+// each reading keeps at most MAX_PER_READING characters.
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MAX_PER_READING = 80;
+const HANGUL_BASE = 0xAC00;
+const BLOCK = 21 * 28; // syllables per initial consonant
+
+const [src, cedict] = process.argv.slice(2);
+if (!src) {
+  console.error('usage: node scripts/build-ko-index.mjs <hanjaeum.json> [cedict_ts.u8]');
+  process.exit(1);
+}
+const publicDir = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../public');
+const outDir = path.join(publicDir, 'ko-index');
+
+// Korean Hanja are Traditional forms: prefer the Traditional ranks. Variants outside the
+// main CJK block (㕥 for 以) inherit their standard form's rank there, so they go last.
+const MAIN_BLOCK = ch => ch >= '\u4e00' && ch <= '\u9fff';
+let rankOf = () => Infinity;
+const freqFile = path.join(publicDir, 'hanzi-frequency.json');
+if (fs.existsSync(freqFile)) {
+  const freq = JSON.parse(fs.readFileSync(freqFile, 'utf8'));
+  rankOf = ch => (MAIN_BLOCK(ch) ? freq.traditional?.[ch] ?? freq.ranks?.[ch] ?? Infinity : Infinity);
+} else {
+  console.warn('public/hanzi-frequency.json not found; Hanja stay in code-point order');
+}
+
+const simplifiedOnly = new Set();
+if (cedict) {
+  const LINE = /^(\S+) (\S+) \[/;
+  const trads = new Set();
+  for (const line of fs.readFileSync(cedict, 'utf8').split('\n')) {
+    const m = LINE.exec(line);
+    if (!m || [...m[1]].length !== 1) continue;
+    trads.add(m[1]);
+    if (m[1] !== m[2]) simplifiedOnly.add(m[2]);
+  }
+  for (const t of trads) simplifiedOnly.delete(t);
+}
+
+const byReading = new Map();
+for (const [hanja, reading] of Object.entries(JSON.parse(fs.readFileSync(src, 'utf8')))) {
+  const code = reading.codePointAt(0);
+  if ([...reading].length !== 1 || code < HANGUL_BASE || code > 0xD7A3) continue;
+  if (simplifiedOnly.has(hanja)) continue;
+  if (!byReading.has(reading)) byReading.set(reading, []);
+  byReading.get(reading).push(hanja);
+}
+
+const shards = new Map();
+for (const [reading, chars] of byReading) {
+  const blockStart = HANGUL_BASE + Math.floor((reading.codePointAt(0) - HANGUL_BASE) / BLOCK) * BLOCK;
+  const key = blockStart.toString(16);
+  if (!shards.has(key)) shards.set(key, {});
+  shards.get(key)[reading] = chars
+    .map(ch => [ch, rankOf(ch), ch.codePointAt(0)])
+    .sort((a, b) => a[1] - b[1] || a[2] - b[2])
+    .slice(0, MAX_PER_READING)
+    .map(([ch]) => ch);
+}
+
+fs.rmSync(outDir, { recursive: true, force: true });
+fs.mkdirSync(outDir, { recursive: true });
+for (const [key, obj] of shards) fs.writeFileSync(path.join(outDir, `${key}.json`), JSON.stringify(obj));
+console.log(`wrote ${byReading.size} readings in ${shards.size} shards to ${outDir}`);
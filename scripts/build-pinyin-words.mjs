@@ -0,0 +1,66 @@
+// scripts/build-pinyin-words.mjs
+// Builds public/pinyin-words/<syllable>.json from a CC-CEDICT file:
+//
+//   node scripts/build-pinyin-words.mjs path/to/cedict_ts.u8
+//
+// Shards are keyed by the toneless first syllable, like pinyin-index/.
+// Each shard maps a syllable sequence, both toneless ("shi shi") and toned
+// ("shi4 shi2"), to the 2–4 character words (Simplified and Traditional)
+// that are read that way. ü is folded to u to match pinyin-index/.
+import fs from 'node:fs';
+import path from 'node:path';
+
+const MIN_LEN = 2;
+const MAX_LEN = 4;
+
+const src = process.argv[2];
+if (!src) {
+  console.error('usage: node scripts/build-pinyin-words.mjs <cedict_ts.u8>');
+  process.exit(1);
+}
+const outDir = path.resolve(path.dirname(new URL(import.meta.url).pathname), '../public/pinyin-words');
+
+const HAN = /^\p{Script=Han}+$/u;
+const LINE = /^(\S+) (\S+) \[([^\]]+)\] \//;
+
+const shards = new Map();   // first syllable -> { key -> Set(words) }
+
+function add(base, key, word) {
+  if (!shards.has(base)) shards.set(base, {});
+  const shard = shards.get(base);
+  (shard[key] ||= new Set()).add(word);
+}
+
+for (const line of fs.readFileSync(src, 'utf8').split('\n')) {
+  if (!line || line.startsWith('#')) continue;
+  const m = LINE.exec(line);
+  if (!m) continue;
+  const [, trad, simp, pinyin] = m;
+
+  // Capitalized pinyin marks proper nouns (names, places) – not useful here
+  if (/[A-Z]/.test(pinyin)) continue;
+
+  const syllables = pinyin.toLowerCase().replace(/u:/g, 'u').split(' ');
+  if (!syllables.every(s => /^[a-z]+[1-5]$/.test(s))) continue;
+
+  for (const word of new Set([simp, trad])) {
+    const chars = [...word];
+    if (chars.length < MIN_LEN || chars.length > MAX_LEN) continue;
+    if (!HAN.test(word) || chars.length !== syllables.length) continue;
+
+    const toned = syllables.join(' ');
+    const toneless = syllables.map(s => s.replace(/[1-5]$/, '')).join(' ');
+    const base = toneless.split(' ')[0];
+    add(base, toneless, word);
+    add(base, toned, word);
+  }
+}
+
+fs.rmSync(outDir, { recursive: true, force: true });
+fs.mkdirSync(outDir, { recursive: true });
+for (const [base, shard] of shards) {
+  const obj = {};
+  for (const key of Object.keys(shard)) obj[key] = [...shard[key]];
+  fs.writeFileSync(path.join(outDir, `${base}.json`), JSON.stringify(obj));
+}
+console.log(`wrote ${shards.size} shards to ${outDir}`);
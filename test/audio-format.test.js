@@ -0,0 +1,71 @@
+// test/audio-format.test.js
+// WAV parsing, format sniffing and the resampler behind inspectAudio.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sniffContainer, parseWavHeader, wavDurationMs, inspectAudio, TARGET_RATE } from '../api/_lib/audio-format.js';
+import { AudioFormatError } from '../api/_lib/errors.js';
+import { tone, wavBlob, multiChannelWav } from './helpers.js';
+
+// 16-bit mono WAV blob -> { wav, samples: Float32Array }
+const samplesOf = async blob => {
+  const b = new Uint8Array(await blob.arrayBuffer());
+  const wav = parseWavHeader(b);
+  const view = new DataView(b.buffer, wav.dataOffset, wav.dataBytes);
+  const samples = Float32Array.from({ length: wav.dataBytes / 2 }, (_, i) => view.getInt16(i * 2, true) / 32768);
+  return { wav, samples };
+};
+
+// Peak of the middle half (skips the filter's edges)
+const peak = x => x.subarray(x.length >> 2, x.length - (x.length >> 2)).reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+
+test('WAV header: format, rate and duration from data size / byte rate', () => {
+  const b = multiChannelWav(tone(440, 1500, 48000), 48000, 2);
+  const wav = parseWavHeader(b);
+  assert.deepEqual([wav.format, wav.channels, wav.sampleRate, wav.bitsPerSample], [1, 2, 48000, 16]);
+  assert.equal(wav.dataOffset, 44);
+  assert.equal(wav.dataBytes, 48000 * 1.5 * 4);
+  assert.equal(wavDurationMs(wav), 1500);
+  assert.equal(sniffContainer(b).container, 'wav');
+});
+
+test('headers without fmt or data chunks are refused', () => {
+  const b = multiChannelWav(tone(440, 10), 16000, 1);
+  b.set(new TextEncoder().encode('junk'), 12);
+  assert.throws(() => parseWavHeader(b), AudioFormatError);
+});
+
+test('16 kHz mono 16-bit WAV is passed through untouched', async () => {
+  const file = wavBlob(tone(440, 500));
+  const { blob, audio } = await inspectAudio(file);
+  assert.equal(audio.convertedTo, undefined);
+  assert.equal(blob.size, file.size);
+});
+
+test('48 kHz stereo is downmixed and resampled to 16 kHz', async () => {
+  const file = new Blob([multiChannelWav(tone(1000, 1000, 48000), 48000, 2)], { type: 'audio/wav' });
+  const { blob, audio } = await inspectAudio(file);
+  assert.deepEqual(audio.convertedTo, { sampleRate: TARGET_RATE, channels: 1, bitsPerSample: 16 });
+  assert.equal(audio.durationMs, 1000);
+  const { wav, samples } = await samplesOf(blob);
+  assert.equal(wav.sampleRate, TARGET_RATE);
+  assert.equal(samples.length, 16000);
+  // a 1 kHz tone keeps its level
+  assert.ok(Math.abs(peak(samples) - 0.5) < 0.02, `peak ${peak(samples)}`);
+});
+
+test('the resampler removes content above the new Nyquist rate', async () => {
+  const file = new Blob([multiChannelWav(tone(12000, 500, 48000), 48000, 1)], { type: 'audio/wav' });
+  const { samples } = await samplesOf((await inspectAudio(file)).blob);
+  assert.ok(peak(samples) < 0.01, `12 kHz leaked through at ${peak(samples)}`);
+});
+
+test('keepRate only downmixes', async () => {
+  const file = new Blob([multiChannelWav(tone(1000, 500, 44100), 44100, 2)], { type: 'audio/wav' });
+  const { blob, audio } = await inspectAudio(file, { keepRate: true });
+  assert.deepEqual(audio.convertedTo, { sampleRate: 44100, channels: 1, bitsPerSample: 16 });
+  assert.equal((await samplesOf(blob)).wav.sampleRate, 44100);
+});
+
+test('a declared type that contradicts the bytes is refused', async () => {
+  await assert.rejects(inspectAudio(wavBlob(tone(440, 500), 16000, 'audio/webm')), /Declared audio\/webm but the data is WAV/);
+});
@@ -0,0 +1,58 @@
+// test/batch.test.js
+// /api/transcribe-batch paging and rate limiting through the mock provider.
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/transcribe-batch.js';
+import { servePublic, tone, wavBlob } from './helpers.js';
+
+let restore;
+before(() => { restore = servePublic(); });
+after(() => restore());
+afterEach(() => { delete process.env.BATCH_RATE_LIMIT_BURST; delete process.env.BATCH_RATE_LIMIT_PER_MINUTE; });
+
+// `count` clips expecting "two" from `client`, plus extra form fields
+async function post(client, count, fields = {}) {
+  const form = new FormData();
+  for (let i = 0; i < count; i++) {
+    form.append('audio', wavBlob(tone(220, 300)), `clip-${i}.wav`);
+    form.append('expected', 'two');
+  }
+  form.append('provider', 'mock');
+  form.append('language', 'en-US');
+  for (const [k, v] of Object.entries(fields)) form.append(k, String(v));
+  const res = await handler(new Request('http://localhost/api/transcribe-batch', {
+    method: 'POST', body: form, headers: { 'x-real-ip': client }
+  }));
+  return { res, body: await res.json() };
+}
+
+test('a long upload runs page by page', async () => {
+  const first = await post('pages', 5, { limit: 2 });
+  assert.equal(first.res.status, 200);
+  assert.deepEqual(first.body.items.map(it => it.index), [0, 1]);
+  assert.equal(first.body.summary.clips, 5);
+  assert.equal(first.body.summary.nextOffset, 2);
+  assert.equal(first.body.summary.top1Accuracy, 1);
+
+  const last = await post('pages', 5, { limit: 2, offset: 4 });
+  assert.deepEqual(last.body.items.map(it => it.index), [4]);
+  assert.equal(last.body.summary.nextOffset, null);
+
+  assert.equal((await post('pages', 5, { offset: 5 })).body.code, 'BAD_REQUEST');
+});
+
+test('a page stops where the batch bucket runs out instead of failing clips', async () => {
+  process.env.BATCH_RATE_LIMIT_BURST = '3';
+  process.env.BATCH_RATE_LIMIT_PER_MINUTE = '60';
+  const { res, body } = await post('paced', 5);
+  assert.equal(res.status, 200);
+  assert.equal(body.items.length, 3);
+  assert.ok(body.items.every(it => !it.failed));
+  assert.equal(body.summary.nextOffset, 3);
+  assert.equal(res.headers.get('Retry-After'), '1');
+
+  const refused = await post('paced', 5, { offset: 3 });
+  assert.equal(refused.res.status, 429);
+  assert.equal(refused.body.code, 'RATE_LIMITED');
+  assert.equal(refused.body.nextOffset, 3);
+});
@@ -0,0 +1,52 @@
+// test/cache.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cacheKey, cacheGet, cachePut, createMemoryStore, dedupe, inFlight } from '../api/_lib/cache.js';
+
+const bytes = new Uint8Array([1, 2, 3, 4]);
+
+test('keys follow the audio bytes, the options and the declared type', async () => {
+  const a = await cacheKey(new Blob([bytes], { type: 'audio/wav' }), { language: 'en-US' });
+  const same = await cacheKey(new Blob([bytes], { type: 'audio/wav' }), { language: 'en-US' });
+  const otherType = await cacheKey(new Blob([bytes], { type: 'audio/webm' }), { language: 'en-US' });
+  const otherOptions = await cacheKey(new Blob([bytes], { type: 'audio/wav' }), { language: 'zh-CN' });
+  assert.equal(a.key, same.key);
+  assert.notEqual(a.key, otherType.key);
+  assert.notEqual(a.key, otherOptions.key);
+  assert.equal(a.audioDigest, otherType.audioDigest);
+});
+
+test('only successful recognitions are stored', async () => {
+  await cachePut('ok', { status: 200, body: { candidates: ['two'] } });
+  await cachePut('empty', { status: 200, body: { candidates: [] } });
+  await cachePut('error', { status: 502, body: { candidates: ['x'] } });
+  assert.deepEqual((await cacheGet('ok')).body, { candidates: ['two'] });
+  assert.equal(await cacheGet('empty'), null);
+  assert.equal(await cacheGet('error'), null);
+});
+
+test('memory store evicts the least recently used entry', () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  store.set('a', 1, 60000);
+  store.set('b', 2, 60000);
+  store.get('a');
+  store.set('c', 3, 60000);
+  assert.equal(store.get('b'), undefined);
+  assert.equal(store.get('a'), 1);
+  assert.equal(store.get('c'), 3);
+});
+
+test('concurrent identical calls share one run', async () => {
+  let runs = 0;
+  let release;
+  const gate = new Promise(r => { release = r; });
+  const fn = async () => { runs++; await gate; return { status: 200 }; };
+  const first = dedupe('k', fn);
+  const second = dedupe('k', fn);
+  assert.equal(inFlight('k'), true);
+  release();
+  const [a, b] = await Promise.all([first, second]);
+  assert.equal(runs, 1);
+  assert.deepEqual([a.shared, b.shared], [false, true]);
+  assert.equal(inFlight('k'), false);
+});
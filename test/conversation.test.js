@@ -0,0 +1,40 @@
+// test/conversation.test.js
+// transcribeConversation's local path (cut at pauses) through the mock provider.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { transcribeConversation } from '../api/_lib/conversation.js';
+import { getProvider } from '../api/_providers/index.js';
+import { BASE_URL, servePublic, tone, wavBlob } from './helpers.js';
+
+let restore;
+before(() => { restore = servePublic(); });
+after(() => restore());
+
+// Three one-second tones with a second of silence between them
+function threeTurns() {
+  const parts = [tone(220, 1000), tone(0, 1000), tone(330, 1000), tone(0, 1000), tone(220, 1000)];
+  const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let at = 0;
+  for (const p of parts) { out.set(p, at); at += p.length; }
+  return wavBlob(out);
+}
+
+const run = opts => transcribeConversation(threeTurns(), { provider: getProvider('mock'), language: 'en-US', baseUrl: BASE_URL, ...opts });
+
+test('every segment call is charged before the fan-out', async () => {
+  const charged = [];
+  const { status, body } = await run({ charge: calls => { charged.push(calls); return { ok: true }; } });
+  assert.equal(status, 200);
+  assert.equal(body.diarization, 'clustering');
+  assert.equal(body.segments.length, 3);
+  // the mock's diarization call (no segments in this fixture), then one per segment
+  assert.deepEqual(charged, [1, 3]);
+});
+
+test('a refused charge answers RATE_LIMITED without transcribing', async () => {
+  let calls = 0;
+  const { status, body } = await run({ charge: () => (++calls === 1 ? { ok: true } : { ok: false, retryAfter: 4 }) });
+  assert.equal(status, 429);
+  assert.equal(body.code, 'RATE_LIMITED');
+  assert.equal(body.retryAfter, 4);
+});
@@ -0,0 +1,26 @@
+// test/en-numbers.test.js
+// English number normalizer behind /api/num-normalize.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findNumberSpans, formsFor } from '../api/_lib/en-numbers.js';
+
+test('spans in running text, digits or words', () => {
+  const spans = findNumberSpans('I bought 2 tickets for twenty five dollars');
+  assert.deepEqual(spans.map(s => [s.text, s.type, s.value]),
+    [['2', 'cardinal', 2], ['twenty five dollars', 'currency', { amount: 25, currency: 'USD' }]]);
+  assert.ok(spans[0].forms.includes('two'));
+});
+
+test('forms per type', () => {
+  assert.deepEqual(formsFor('cardinal', 42), ['42', 'forty-two']);
+  const ordinal = formsFor('ordinal', 3);
+  assert.ok(ordinal.includes('3rd'));
+  assert.ok(ordinal.includes('third'));
+});
+
+test('values past the supported range are skipped, not thrown on', () => {
+  for (const text of ['$99999999999999999999', '99999999999999999999 dollars', '99999999999999999999th', '99999999999999999999.5', '-99999999999999999999']) {
+    assert.deepEqual(findNumberSpans(text), [], text);
+  }
+  assert.deepEqual(findNumberSpans('$5 or $99999999999999999999').map(s => s.text), ['$5']);
+});
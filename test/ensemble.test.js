@@ -0,0 +1,64 @@
+// test/ensemble.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnsembleProvider } from '../api/_providers/ensemble.js';
+import { acceptsMime } from '../api/_providers/index.js';
+import { ProviderError } from '../api/_lib/errors.js';
+
+// Member answering `answer` ({ candidates } or an Error to throw)
+function member(name, answer, mimeTypes = ['audio/']) {
+  return {
+    name,
+    mimeTypes,
+    calls: 0,
+    isConfigured: () => true,
+    async transcribe() {
+      this.calls++;
+      if (answer instanceof Error) throw answer;
+      return answer;
+    }
+  };
+}
+
+const ensembleOf = members => createEnsembleProvider(() => members, acceptsMime);
+const mp3 = new Blob([new Uint8Array(16)], { type: 'audio/mpeg' });
+const wav = new Blob([new Uint8Array(16)], { type: 'audio/wav' });
+
+test('candidates are ranked by agreement, then reciprocal rank', async () => {
+  const ensemble = ensembleOf([
+    member('a', { candidates: ['to', 'two'] }),
+    member('b', { candidates: ['two', 'too'] })
+  ]);
+  const { candidates, meta } = await ensemble.transcribe(wav, 'en-US');
+  assert.deepEqual(candidates, ['two', 'to', 'too']);
+  assert.equal(meta.ranked[0].agreement, 1);
+  assert.equal(meta.ranked[1].agreement, 0.5);
+});
+
+test('a failed member counts against agreement', async () => {
+  const ensemble = ensembleOf([
+    member('a', { candidates: ['two'] }),
+    member('b', new ProviderError('down', 'UPSTREAM_ERROR'))
+  ]);
+  const { meta } = await ensemble.transcribe(wav, 'en-US');
+  assert.equal(meta.ranked[0].agreement, 0.5);
+  assert.deepEqual(meta.providerErrors, { b: 'down' });
+});
+
+test('members that do not take the upload type are skipped, not counted', async () => {
+  const wavOnly = member('wav-only', { candidates: ['nope'] }, ['audio/wav']);
+  const ensemble = ensembleOf([wavOnly, member('any', { candidates: ['two'] })]);
+  const { candidates, meta } = await ensemble.transcribe(mp3, 'en-US');
+  assert.equal(wavOnly.calls, 0);
+  assert.deepEqual(candidates, ['two']);
+  assert.equal(meta.ranked[0].agreement, 1);
+  assert.deepEqual(meta.members, ['any']);
+  assert.deepEqual(Object.keys(meta.skipped), ['wav-only']);
+  assert.equal(ensemble.memberCount('', 'audio/mpeg'), 1);
+  assert.equal(ensemble.memberCount(''), 2);
+});
+
+test('no member taking the type is an unsupported format', async () => {
+  const ensemble = ensembleOf([member('wav-only', { candidates: ['two'] }, ['audio/wav'])]);
+  await assert.rejects(ensemble.transcribe(mp3, 'en-US'), err => err.code === 'UNSUPPORTED_FORMAT');
+});
@@ -0,0 +1,66 @@
+// test/helpers.js
+// Shared by the node:test suites: a fetch that serves public/ (the fixtures and
+// homophone data the routes load from their own origin) and /api/num-normalize.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+export const BASE_URL = 'http://localhost/';
+const PUBLIC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../public');
+
+// Replaces globalThis.fetch; anything but localhost fails, so no test reaches a provider.
+// -> restore()
+export function servePublic() {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async input => {
+    const url = new URL(typeof input === 'string' ? input : input.url);
+    if (url.hostname !== 'localhost') throw new Error(`test fetch blocked: ${url}`);
+    if (url.pathname === '/api/num-normalize') return numNormalize(url);
+    const file = path.join(PUBLIC_DIR, decodeURIComponent(url.pathname));
+    if (!file.startsWith(PUBLIC_DIR) || !fs.existsSync(file)) return new Response('not found', { status: 404 });
+    return new Response(fs.readFileSync(file), { headers: { 'Content-Type': 'application/json' } });
+  };
+  return () => { globalThis.fetch = realFetch; };
+}
+
+// The Node route, called with a minimal req/res pair
+async function numNormalize(url) {
+  const { default: handler } = await import('../api/num-normalize.js');
+  let status = 200, body = '';
+  const res = {
+    setHeader() {},
+    status(code) { status = code; return this; },
+    send(b) { body = b; }
+  };
+  await handler({ url: url.pathname + url.search, headers: {} }, res);
+  return new Response(body, { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// `ms` of a sine at `freq` Hz (0 for silence) -> Float32Array
+export function tone(freq, ms, rate = 16000, amplitude = 0.5) {
+  const x = new Float32Array(Math.round(rate * ms / 1000));
+  for (let i = 0; i < x.length; i++) x[i] = amplitude * Math.sin(2 * Math.PI * freq * i / rate);
+  return x;
+}
+
+export function wavBlob(samples, rate = 16000, type = 'audio/wav') {
+  return new Blob([multiChannelWav(samples, rate, 1)], { type });
+}
+
+// Interleaved 16-bit PCM WAV with `channels` copies of `samples`
+export function multiChannelWav(samples, rate, channels) {
+  const data = samples.length * channels * 2;
+  const out = new Uint8Array(44 + data);
+  const view = new DataView(out.buffer);
+  const put = (at, s) => { for (let i = 0; i < s.length; i++) out[at + i] = s.charCodeAt(i); };
+  put(0, 'RIFF'); view.setUint32(4, 36 + data, true); put(8, 'WAVE');
+  put(12, 'fmt '); view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); view.setUint16(22, channels, true);
+  view.setUint32(24, rate, true); view.setUint32(28, rate * channels * 2, true);
+  view.setUint16(32, channels * 2, true); view.setUint16(34, 16, true);
+  put(36, 'data'); view.setUint32(40, data, true);
+  for (let i = 0; i < samples.length; i++) {
+    for (let c = 0; c < channels; c++) view.setInt16(44 + (i * channels + c) * 2, Math.round(samples[i] * 0x7FFF), true);
+  }
+  return out;
+}
@@ -0,0 +1,76 @@
+// test/language-id.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLanguages, scriptFit, identifyLanguage, DEFAULT_LANGUAGES } from '../api/_lib/language-id.js';
+import { ProviderError } from '../api/_lib/errors.js';
+
+// Provider answering `answers[language]` ({ candidates, details? } or an Error to throw)
+function fakeProvider(answers, extra = {}) {
+  return {
+    name: 'fake',
+    calls: [],
+    async transcribe(blob, language) {
+      this.calls.push(language);
+      const a = answers[language] ?? { candidates: [] };
+      if (a instanceof Error) throw a;
+      return a;
+    },
+    ...extra
+  };
+}
+
+test('parseLanguages: comma list, JSON array, defaults, dedupe, limits', () => {
+  assert.deepEqual(parseLanguages('en-US, zh-CN;en-us'), ['en-US', 'zh-CN']);
+  assert.deepEqual(parseLanguages('["ja-JP","ko-KR"]'), ['ja-JP', 'ko-KR']);
+  assert.deepEqual(parseLanguages(''), DEFAULT_LANGUAGES);
+  assert.throws(() => parseLanguages('en-US,auto'), /not a language tag/);
+  assert.throws(() => parseLanguages('en,fr,de,it,pt,ru,pl'), /Too many languages/);
+});
+
+test('scriptFit: share of letters in the language\'s script', () => {
+  assert.equal(scriptFit('你好', 'zh-CN'), 1);
+  assert.equal(scriptFit('hello', 'zh-CN'), 0);
+  assert.equal(scriptFit('はし', 'ja-JP'), 1);
+  assert.equal(scriptFit('눈', 'ko-KR'), 1);
+  assert.equal(scriptFit('2', 'en-US'), 0.5);
+  // all-kanji text leans Chinese
+  assert.ok(scriptFit('日本語', 'ja-JP') < scriptFit('日本語', 'zh-CN'));
+});
+
+test('scoring picks the best-fitting transcription and reuses it', async () => {
+  const provider = fakeProvider({
+    'en-US': { candidates: ['Hao'], details: [{ confidence: 0.3 }] },
+    'zh-CN': { candidates: ['好'], details: [{ confidence: 0.9 }] }
+  });
+  const id = await identifyLanguage(provider, null, ['en-US', 'zh-CN'], {});
+  assert.equal(id.language, 'zh-CN');
+  assert.equal(id.method, 'scoring');
+  assert.deepEqual(id.result.candidates, ['好']);
+  assert.deepEqual(id.scores.map(s => s.language), ['en-US', 'zh-CN']);
+});
+
+test('nothing recognized anywhere -> language null', async () => {
+  const id = await identifyLanguage(fakeProvider({}), null, ['en-US', 'zh-CN'], {});
+  assert.equal(id.language, null);
+});
+
+test('provider identification wins; a transient failure falls back to scoring', async () => {
+  const direct = fakeProvider({}, { identifyLanguage: async () => ({ language: 'ko-KR', confidence: 0.8 }) });
+  assert.equal((await identifyLanguage(direct, null, ['en-US', 'ko-KR'], {})).method, 'provider');
+  assert.deepEqual(direct.calls, []);
+
+  const flaky = fakeProvider({ 'es-ES': { candidates: ['Hola'] } }, {
+    identifyLanguage: async () => { throw new ProviderError('down', 'UPSTREAM_ERROR'); }
+  });
+  const id = await identifyLanguage(flaky, null, ['es-ES'], {});
+  assert.equal(id.method, 'scoring');
+  assert.equal(id.providerError, 'down');
+});
+
+test('a bad key fails at once instead of trying every language', async () => {
+  const provider = fakeProvider({}, {
+    identifyLanguage: async () => { throw new ProviderError('bad key', 'PROVIDER_AUTH'); }
+  });
+  await assert.rejects(identifyLanguage(provider, null, ['en-US', 'zh-CN'], {}), /bad key/);
+  assert.deepEqual(provider.calls, []);
+});
@@ -0,0 +1,83 @@
+// test/pipeline.test.js
+// transcribeClip end to end through the mock provider (fixtures in public/fixtures/transcribe).
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { transcribeClip, providerCalls } from '../api/_lib/pipeline.js';
+import { getProvider } from '../api/_providers/index.js';
+import { BASE_URL, servePublic, tone, wavBlob } from './helpers.js';
+
+let restore;
+before(() => { restore = servePublic(); });
+after(() => restore());
+
+const mock = getProvider('mock');
+const clip = () => wavBlob(tone(220, 500));
+const run = (file, opts) => transcribeClip(file, { provider: mock, baseUrl: BASE_URL, ...opts });
+
+test('English fixture: normalized N-best and homophones', async () => {
+  const { status, body } = await run(clip(), { language: 'en-US' });
+  assert.equal(status, 200);
+  assert.equal(body.provider, 'mock');
+  assert.deepEqual(body.candidates.slice(0, 3), ['Two', 'To', 'Too']);
+  assert.equal(body.audio.container, 'wav');
+  assert.ok(body.enHomophones.homophones.includes('2'));
+  // letter names ("t", "u") are not near words
+  assert.ok(!body.enHomophones.near.some(n => n.word.length === 1 && n.word !== 'a' && n.word !== 'i'));
+});
+
+test('Chinese fixture: Latin candidates are filtered out', async () => {
+  const { status, body } = await run(clip(), { language: 'zh-CN' });
+  assert.equal(status, 200);
+  assert.ok(!body.candidates.includes('hello'));
+  assert.equal(body.candidates[0], '好');
+});
+
+test('silence fixture answers NO_SPEECH', async () => {
+  const { status, body } = await run(clip(), { language: 'en-US', fixture: 'silence' });
+  assert.equal(status, 422);
+  assert.equal(body.code, 'NO_SPEECH');
+  assert.deepEqual(body.candidates, []);
+});
+
+test('unknown fixture is a bad request', async () => {
+  const { status, body } = await run(clip(), { language: 'en-US', fixture: 'nope' });
+  assert.equal(status, 400);
+  assert.equal(body.code, 'BAD_REQUEST');
+});
+
+test('tiny and unrecognized uploads are refused before the provider', async () => {
+  assert.equal((await run(new Blob([new Uint8Array(100)]), { language: 'en-US' })).body.code, 'AUDIO_TOO_SHORT');
+  const junk = await run(new Blob([new Uint8Array(4000)], { type: 'audio/wav' }), { language: 'en-US' });
+  assert.equal(junk.status, 415);
+  assert.equal(junk.body.code, 'UNSUPPORTED_FORMAT');
+});
+
+test('expected text adds an evaluation', async () => {
+  const { body } = await run(clip(), { language: 'en-US', expected: 'too' });
+  assert.equal(body.evaluation.metric, 'wer');
+  assert.equal(body.evaluation.best, 2);
+  assert.equal(body.evaluation.hitRank, 3);
+});
+
+test('language=auto picks the language whose script and confidence fit best', async () => {
+  const { status, body } = await run(clip(), { language: 'auto', languages: ['zh-CN', 'en-US'] });
+  assert.equal(status, 200);
+  assert.equal(body.languageId.language, 'en-US');
+  assert.equal(body.languageId.method, 'scoring');
+  assert.equal(body.candidates[0], 'Two');
+});
+
+test('the pinyin check runs on the closest candidate', async () => {
+  const { body } = await run(clip(), { language: 'zh-CN', expected: '浩' });
+  assert.equal(body.candidates[0], '好');
+  assert.equal(body.evaluation.best, 2);
+  assert.equal(body.evaluation.pinyin.candidate, 2);
+});
+
+test('providerCalls: one per ensemble member, per candidate language and for language ID', () => {
+  assert.equal(providerCalls(mock, { language: 'en-US' }), 1);
+  assert.equal(providerCalls(mock, { language: 'auto', languages: ['en-US', 'zh-CN'] }), 2);
+  const ensemble = getProvider('ensemble');
+  assert.equal(providerCalls(ensemble, { language: 'en-US', members: 'mock,openai' }), 2);
+  assert.equal(providerCalls(getProvider('azure'), { language: 'auto', languages: ['en-US', 'zh-CN'] }), 3);
+});
@@ -0,0 +1,44 @@
+// test/providers.test.js
+// Provider registry and the fixture-backed mock provider (registered by ENABLE_MOCK_PROVIDER=1).
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProvider, providerNames, acceptsMime } from '../api/_providers/index.js';
+import { BASE_URL, servePublic } from './helpers.js';
+
+let restore;
+before(() => { restore = servePublic(); });
+after(() => restore());
+
+const mock = getProvider('mock');
+const clip = () => new Blob([new Uint8Array(4000)], { type: 'audio/wav' });
+
+test('providers are looked up by name, case-insensitively', () => {
+  for (const name of ['azure', 'openai', 'mock']) assert.ok(providerNames().includes(name));
+  assert.equal(getProvider('MOCK'), mock);
+  assert.equal(getProvider('nope'), null);
+});
+
+test('upload types match by prefix; an empty type is let through', () => {
+  const azure = getProvider('azure');
+  assert.equal(acceptsMime(azure, 'audio/webm;codecs=opus'), true);
+  assert.equal(acceptsMime(azure, 'audio/mpeg'), false);
+  assert.equal(acceptsMime(azure, ''), true);
+  assert.equal(acceptsMime(mock, 'audio/flac'), true);
+});
+
+test('mock answers with the language fixture, normalized', async () => {
+  const { candidates, meta } = await mock.transcribe(clip(), 'en-US', { baseUrl: BASE_URL });
+  assert.deepEqual(candidates.slice(0, 3), ['Two', 'To', 'Too']);
+  assert.equal(meta.fixture, 'en-US');
+});
+
+test('mock: the fixture field overrides the language', async () => {
+  const { candidates, error } = await mock.transcribe(clip(), 'en-US', { baseUrl: BASE_URL, fixture: 'silence' });
+  assert.deepEqual(candidates, []);
+  assert.equal(error, 'No speech recognized');
+});
+
+test('mock: unknown and malformed fixture names are refused', async () => {
+  await assert.rejects(mock.transcribe(clip(), 'en-US', { baseUrl: BASE_URL, fixture: 'nope' }), /No mock fixture "nope"/);
+  await assert.rejects(mock.transcribe(clip(), 'en-US', { baseUrl: BASE_URL, fixture: '../x' }), /Invalid fixture name/);
+});
@@ -0,0 +1,69 @@
+// test/rate-limit.test.js
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeToken, takeUpTo, clientId } from '../api/_lib/rate-limit.js';
+
+const ENV = ['RATE_LIMIT_PER_MINUTE', 'RATE_LIMIT_BURST', 'STREAM_RATE_LIMIT_PER_MINUTE', 'STREAM_RATE_LIMIT_BURST', 'BATCH_RATE_LIMIT_PER_MINUTE', 'BATCH_RATE_LIMIT_BURST'];
+afterEach(() => { for (const k of ENV) delete process.env[k]; });
+
+test('a client bursts, is refused, then refills', () => {
+  process.env.RATE_LIMIT_PER_MINUTE = '60';
+  process.env.RATE_LIMIT_BURST = '3';
+  const now = 1_000_000;
+  for (let i = 0; i < 3; i++) assert.equal(takeToken('burst', { now }).ok, true);
+  const refused = takeToken('burst', { now });
+  assert.equal(refused.ok, false);
+  assert.equal(refused.retryAfter, 1);
+  assert.equal(takeToken('burst', { now: now + 1000 }).ok, true);
+  // other clients have their own bucket
+  assert.equal(takeToken('someone-else', { now }).ok, true);
+});
+
+test('cost takes several tokens; past the burst it leaves the bucket in debt', () => {
+  process.env.RATE_LIMIT_PER_MINUTE = '60';
+  process.env.RATE_LIMIT_BURST = '4';
+  const now = 2_000_000;
+  assert.equal(takeToken('cost', { cost: 3, now }).remaining, 1);
+  const refused = takeToken('cost', { cost: 3, now });
+  assert.equal(refused.ok, false);
+  assert.equal(refused.retryAfter, 2);
+  // more than the burst still passes once the bucket is full, then pays off the rest
+  const big = takeToken('cost', { cost: 10, now: now + 60000 });
+  assert.deepEqual(big, { ok: true, remaining: 0, retryAfter: 0 });
+  assert.equal(takeToken('cost', { now: now + 60000 }).retryAfter, 7);
+});
+
+test('the stream bucket is separate', () => {
+  process.env.RATE_LIMIT_BURST = '1';
+  process.env.STREAM_RATE_LIMIT_BURST = '2';
+  const now = 3_000_000;
+  assert.equal(takeToken('both', { now }).ok, true);
+  assert.equal(takeToken('both', { now }).ok, false);
+  assert.equal(takeToken('both', { kind: 'stream', now }).ok, true);
+  assert.equal(takeToken('both', { kind: 'stream', now }).ok, true);
+  assert.equal(takeToken('both', { kind: 'stream', now }).ok, false);
+});
+
+test('takeUpTo takes as many units as the bucket holds', () => {
+  process.env.BATCH_RATE_LIMIT_PER_MINUTE = '60';
+  process.env.BATCH_RATE_LIMIT_BURST = '7';
+  const now = 4_000_000;
+  const first = takeUpTo('units', { each: 2, max: 10, kind: 'batch', now });
+  assert.deepEqual(first, { count: 3, remaining: 1, retryAfter: 1 });
+  assert.equal(takeUpTo('units', { each: 2, max: 10, kind: 'batch', now }).count, 0);
+  assert.equal(takeUpTo('units', { each: 2, max: 1, kind: 'batch', now: now + 60000 }).count, 1);
+  // the batch bucket is not the interactive one
+  assert.equal(takeToken('units', { now }).ok, true);
+});
+
+test('a rate of 0 turns limiting off', () => {
+  process.env.RATE_LIMIT_PER_MINUTE = '0';
+  for (let i = 0; i < 50; i++) assert.equal(takeToken('off').ok, true);
+});
+
+test('clientId: first forwarded address, else X-Real-IP', () => {
+  const req = headers => new Request('http://localhost/', { headers });
+  assert.equal(clientId(req({ 'x-forwarded-for': '1.2.3.4, 10.0.0.1' })), '1.2.3.4');
+  assert.equal(clientId(req({ 'x-real-ip': '5.6.7.8' })), '5.6.7.8');
+  assert.equal(clientId(req({})), 'anonymous');
+});
@@ -0,0 +1,66 @@
+// test/scoring.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { alignTokens, tokensFor, errorMetric, normalizeForMatch, scoreResult, aggregate, toCsv } from '../api/_lib/scoring.js';
+
+const wer = (ref, hyp) => alignTokens(tokensFor(ref, 'wer'), tokensFor(hyp, 'wer'));
+const cer = (ref, hyp) => alignTokens(tokensFor(ref, 'cer'), tokensFor(hyp, 'cer'));
+
+test('WER counts substitutions, deletions and insertions over the reference length', () => {
+  const r = wer('the cat sat down', 'the bat sat');
+  assert.equal(r.substitutions, 1);
+  assert.equal(r.deletions, 1);
+  assert.equal(r.insertions, 0);
+  assert.equal(r.errorRate, 0.5);
+  assert.deepEqual(r.diff.map(d => d.op), ['equal', 'sub', 'equal', 'del']);
+
+  const ins = wer('hello', 'hello there');
+  assert.equal(ins.insertions, 1);
+  assert.equal(ins.errorRate, 1);
+});
+
+test('case, width and punctuation are not errors', () => {
+  assert.equal(wer('Two.', 'two').errorRate, 0);
+  assert.equal(cer('你好。', '你好').errorRate, 0);
+  assert.equal(normalizeForMatch('  Ｔｗｏ! '), 'two');
+});
+
+test('CER aligns per character for zh/ja/ko', () => {
+  assert.equal(errorMetric('zh-CN'), 'cer');
+  assert.equal(errorMetric('ja-JP'), 'cer');
+  assert.equal(errorMetric('en-US'), 'wer');
+  const r = cer('我爱你', '我碍你');
+  assert.equal(r.substitutions, 1);
+  assert.equal(r.diff[1].expected, '爱');
+  assert.equal(r.diff[1].heard, '碍');
+});
+
+test('scoreResult finds the expected text in the N-best list and homophones', () => {
+  const body = { candidates: ['to', 'two'], enHomophones: { homophones: ['too'] } };
+  assert.deepEqual(scoreResult(body, 'Two'),
+    { top1: 'to', hitRank: 2, top1Correct: false, topNHit: true, homophoneHit: false });
+  assert.equal(scoreResult(body, 'too').homophoneHit, true);
+  assert.equal(scoreResult(body, '').top1Correct, null);
+});
+
+test('aggregate counts no-speech clips as misses and leaves failed ones out', () => {
+  const item = (over) => ({ top1Correct: true, topNHit: true, homophoneHit: false, hitRank: 1, errorRate: 0, error: null, code: null, failed: false, ...over });
+  const miss = { top1Correct: false, topNHit: false, homophoneHit: false, hitRank: null, errorRate: 1, error: 'No speech recognized', code: 'NO_SPEECH', failed: false };
+  const failed = { top1Correct: false, topNHit: false, homophoneHit: false, hitRank: null, errorRate: null, error: 'bad key', code: 'PROVIDER_AUTH', failed: true };
+
+  const s = aggregate([item(), miss, failed]);
+  assert.equal(s.items, 3);
+  assert.equal(s.scored, 2);
+  assert.equal(s.failed, 1);
+  assert.equal(s.noSpeech, 1);
+  assert.equal(s.top1Accuracy, 0.5);
+  assert.equal(s.meanErrorRate, 0.5);
+
+  const silentOnly = aggregate([miss]);
+  assert.equal(silentOnly.scored, 1);
+  assert.equal(silentOnly.top1Accuracy, 0);
+});
+
+test('toCsv quotes cells that need it', () => {
+  assert.equal(toCsv([['a', 'b,c', 'say "hi"', null]]), 'a,"b,c","say ""hi""",\r\n');
+});
@@ -0,0 +1,36 @@
+// test/stream.test.js
+// /api/transcribe-stream charging through the mock provider.
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/transcribe-stream.js';
+import { servePublic, tone, wavBlob } from './helpers.js';
+
+let restore;
+before(() => { restore = servePublic(); });
+after(() => restore());
+afterEach(() => { delete process.env.STREAM_RATE_LIMIT_BURST; delete process.env.STREAM_RATE_LIMIT_PER_MINUTE; });
+
+// Posts `ms` of audio as a partial from `client`
+function post(client, ms) {
+  const form = new FormData();
+  form.append('audio', wavBlob(tone(220, ms)), 'segment.wav');
+  form.append('provider', 'mock');
+  form.append('language', 'en-US');
+  return handler(new Request('http://localhost/api/transcribe-stream', {
+    method: 'POST', body: form, headers: { 'x-real-ip': client }
+  }));
+}
+
+test('posts are charged by audio length', async () => {
+  process.env.STREAM_RATE_LIMIT_BURST = '4';
+  process.env.STREAM_RATE_LIMIT_PER_MINUTE = '60';
+  // 12 s of audio takes three tokens
+  const long = await post('length', 12000);
+  assert.equal(long.status, 200);
+  assert.match(await long.text(), /event: end/);
+  assert.equal((await post('length', 1000)).status, 200);
+
+  const refused = await post('length', 1000);
+  assert.equal(refused.status, 429);
+  assert.equal((await refused.json()).code, 'RATE_LIMITED');
+});
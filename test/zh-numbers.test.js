@@ -0,0 +1,18 @@
+// test/zh-numbers.test.js
+// Chinese numeral normalizer behind /api/num-normalize.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findZhNumberSpans, zhFormsFor } from '../api/_lib/zh-numbers.js';
+
+test('spans and forms', () => {
+  const [span] = findZhNumberSpans('二十五');
+  assert.equal(span.type, 'cardinal');
+  assert.equal(span.value, 25);
+  assert.ok(span.forms.includes('25'));
+  assert.ok(zhFormsFor('cardinal', 2).includes('两'));
+  assert.ok(zhFormsFor('cardinal', 2, { traditional: true }).includes('兩'));
+});
+
+test('a lone numeral inside words is not a number', () => {
+  assert.deepEqual(findZhNumberSpans('我们一起走'), []);
+});
@@ -0,0 +1,79 @@
+// test/zip.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isZip, readZip } from '../api/_lib/zip.js';
+
+async function deflateRaw(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// entries: [{ name, data: Uint8Array, deflate?, declaredSize? }] -> ZIP bytes (CRCs left at 0: readZip doesn't check them)
+async function buildZip(entries) {
+  const enc = new TextEncoder();
+  const locals = [], centrals = [];
+  let offset = 0;
+  for (const e of entries) {
+    const name = enc.encode(e.name);
+    const body = e.deflate ? await deflateRaw(e.data) : e.data;
+    const size = e.declaredSize ?? e.data.length;
+
+    const local = new Uint8Array(30 + name.length + body.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    lv.setUint16(8, e.deflate ? 8 : 0, true);
+    lv.setUint32(18, body.length, true);
+    lv.setUint32(22, size, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+    local.set(body, 30 + name.length);
+
+    const central = new Uint8Array(46 + name.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(10, e.deflate ? 8 : 0, true);
+    cv.setUint32(20, body.length, true);
+    cv.setUint32(24, size, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);
+    central.set(name, 46);
+
+    locals.push(local);
+    centrals.push(central);
+    offset += local.length;
+  }
+  const centralSize = centrals.reduce((a, c) => a + c.length, 0);
+  const eocd = new Uint8Array(22);
+  const ev = new DataView(eocd.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, entries.length, true);
+  ev.setUint16(10, entries.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+  return new Uint8Array(await new Blob([...locals, ...centrals, eocd]).arrayBuffer());
+}
+
+const text = s => new TextEncoder().encode(s);
+
+test('reads stored and deflated entries and skips directories', async () => {
+  const zip = await buildZip([
+    { name: 'clips/', data: new Uint8Array(0) },
+    { name: 'clips/a.txt', data: text('stored') },
+    { name: 'clips/b.txt', data: text('deflated '.repeat(100)), deflate: true }
+  ]);
+  assert.ok(isZip(zip));
+  const entries = await readZip(zip);
+  assert.deepEqual(entries.map(e => e.name), ['clips/a.txt', 'clips/b.txt']);
+  assert.equal(new TextDecoder().decode(entries[0].data), 'stored');
+  assert.equal(new TextDecoder().decode(entries[1].data), 'deflated '.repeat(100));
+});
+
+test('an entry inflating past its declared size is refused', async () => {
+  const zip = await buildZip([{ name: 'bomb.wav', data: new Uint8Array(4 * 1024 * 1024), deflate: true, declaredSize: 1000 }]);
+  await assert.rejects(readZip(zip), /inflates past its declared size/);
+});
+
+test('non-ZIP data is refused', async () => {
+  assert.equal(isZip(text('RIFF....')), false);
+  await assert.rejects(readZip(new Uint8Array(100)), /Not a ZIP archive/);
+});